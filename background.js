@@ -1,5 +1,9 @@
-import { getSettings, getTabStates, saveTabStates, addHistoryEntry, getTimeoutForUrl } from './utils/storage.js';
+import { getSettings, getTabStates, saveTabStates, getHistory, addHistoryEntry, addSimulatedClose, getTimeoutForUrl, getSleepTimeoutForUrl,
+    getActiveProfile, getEffectiveSettings, resolveTimeout, addPerSiteTimeout, removePerSiteTimeout,
+    isProtectedUrl, addProtectedSite, removeProtectedSite } from './utils/storage.js';
 import { parseQuitParams, cleanQuitParams, hasQuitParams } from './utils/quit-integration.js';
+import { isSpecialUrl, isFocusedActiveTab, isPlaceholderNewTab, getRemainingSeconds, getCloseStatus, getProtectedScope } from './utils/eligibility.js';
+import { closeWindowTabs } from './utils/windows.js';
 
 // Tab states structure:
 // {
@@ -9,7 +13,14 @@ import { parseQuitParams, cleanQuitParams, hasQuitParams } from './utils/quit-in
 //     countdown: number (seconds remaining),
 //     isPinned: boolean,
 //     hasMedia: boolean,
-//     protected: boolean
+//     protected: boolean,
+//     protectedUntil: number|null (timestamp the protection runs out, null = until unprotected),
+//     stage: 'awake' | 'sleeping' (sleeping = discarded, counting down to close),
+//     warned: boolean (close warning already shown for this countdown),
+//     snoozeSeconds: number (extra seconds added to this countdown by snoozing),
+//     snoozedUntil: number|null (timestamp the snooze extension runs out, for the list marker),
+//     index: number (position in its window, kept current for History),
+//     group: { title, color }|null (the tab's group, for History - group IDs don't survive a restart)
 //   }
 // }
 
@@ -18,6 +29,31 @@ let settings = {};
 let activeTabsByWindow = {}; // Track active tab per window: { windowId: tabId }
 let focusedWindowId = null; // Track the currently focused window
 let explicitlyClosedTabs = new Set(); // Track tabs being closed via our message handlers to prevent double logging
+let idleSince = null; // Timestamp when the machine went idle/locked (countdowns frozen while set)
+let pause = null; // Timed pause of all auto-closing: { since, until } (countdowns frozen while set)
+let activeProfile = null; // Schedule profile in effect: { name (null = none), since, autoCloseOff }
+let protectedScopes = { groups: [], windows: [] }; // Groups and windows whose tabs never auto-close (by ID)
+let appliedProtectedSites = []; // Always-protect list as last applied to open tabs
+let browserSessionStart = null; // When the browser started - window IDs recorded before then mean nothing now
+let ready = null; // Latest initialize() run - event handlers await it after a cold worker start
+
+const ALARM_PERIOD_MS = 10 * 1000; // How often checkTabs is scheduled
+const SUSPEND_GAP_MS = 3 * 60 * 1000; // A longer gap between alarm ticks means the machine was asleep
+const SESSION_MATCH_MS = 60 * 1000; // How far apart a History entry and a recently closed tab may be to count as the same close
+const MAX_CLOSES_PER_TICK = 3; // Close at most this many tabs per alarm tick; the rest wait for later ticks
+const SNOOZE_SECONDS = 30 * 60; // Snooze length offered by close warnings
+const WARNING_NOTIFICATION_PREFIX = 'quit-warning:'; // Followed by comma-separated tab IDs
+const CHOICE_NOTIFICATION_PREFIX = 'quit-close-choice:'; // Snooze / Close now follow-up, same format
+const PAUSE_ALARM = 'pauseEnd'; // Fires when a timed pause runs out
+const BADGE_SOON_SECONDS = 5 * 60; // 'count' badge mode counts tabs closing within this window
+const BADGE_TITLE_TABS = 5; // Tabs listed in the toolbar tooltip
+const BADGE_COLORS = { high: '#34c759', medium: '#ff9500', low: '#ff3b30' }; // Popup countdown colors
+const COMMAND_FEEDBACK_MS = 2000; // How long keyboard command feedback stays on the badge
+const COMMAND_FEEDBACK_COLORS = { done: '#007aff', off: '#8e8e93', failed: '#ff3b30' };
+const COMMAND_PAUSE_SECONDS = 60 * 60; // Pause length for the pause shortcut
+const OMNIBOX_MAX_SUGGESTIONS = 8; // Open tabs first, then closed-tab history
+const MENU_SITE_TIMEOUTS = [5, 15, 30, 60, 180]; // Minutes offered by "Set timeout for this site"
+const MENU_SNOOZE_OPTIONS = [[15, '15 min'], [60, '1 hour'], [180, '3 hours']]; // Same as the popup's snooze menu
 
 // Initialize extension
 async function initialize() {
@@ -26,6 +62,19 @@ async function initialize() {
     settings = await getSettings();
     tabStates = await getTabStates();
 
+    // The always-protect list as last applied is stored, so a change saved while the
+    // worker was stopped still shows up as a difference when settingsUpdated arrives
+    const { appliedProtectedSites: storedSites } = await chrome.storage.local.get('appliedProtectedSites');
+    appliedProtectedSites = storedSites ?? settings.protectedSites ?? [];
+    if (!storedSites) await chrome.storage.local.set({ appliedProtectedSites });
+
+    // Session storage is cleared when the browser quits, but survives worker restarts
+    ({ browserSessionStart } = await chrome.storage.session.get('browserSessionStart'));
+    if (!browserSessionStart) {
+        browserSessionStart = Date.now();
+        await chrome.storage.session.set({ browserSessionStart });
+    }
+
     // Clean up states for tabs that no longer exist
     const allTabs = await chrome.tabs.query({});
     const existingTabIds = new Set(allTabs.map(t => t.id));
@@ -41,6 +90,35 @@ async function initialize() {
         await updateTabState(tab);
     }
 
+    // Restore idle freeze (the worker may have been restarted while the machine was idle)
+    const { idleSince: storedIdleSince } = await chrome.storage.local.get('idleSince');
+    idleSince = storedIdleSince ?? null;
+    await syncIdleDetection();
+
+    // Restore a timed pause (ending it if it ran out while the worker was stopped)
+    const { pause: storedPause } = await chrome.storage.local.get('pause');
+    pause = storedPause ?? null;
+    if (pause && pause.until <= Date.now()) {
+        await resumeFromPause();
+    } else if (pause) {
+        chrome.alarms.create(PAUSE_ALARM, { when: pause.until });
+    }
+    await updateActionIcon();
+
+    // Restore the schedule profile last in effect so a boundary crossed while the worker was stopped is noticed
+    const { activeProfile: storedProfile } = await chrome.storage.local.get('activeProfile');
+    activeProfile = storedProfile ?? null;
+
+    // Restore protected groups and windows, dropping ones closed while the worker was stopped.
+    // Kept in session storage: group and window IDs start over with the browser
+    const { protectedScopes: storedScopes } = await chrome.storage.session.get('protectedScopes');
+    const groupIds = new Set((await chrome.tabGroups.query({})).map(g => g.id));
+    const windowIds = new Set((await chrome.windows.getAll()).map(w => w.id));
+    protectedScopes = {
+        groups: (storedScopes?.groups ?? []).filter(id => groupIds.has(id)),
+        windows: (storedScopes?.windows ?? []).filter(id => windowIds.has(id))
+    };
+
     // Get the currently focused window
     try {
         const focusedWindow = await chrome.windows.getLastFocused();
@@ -65,7 +143,7 @@ async function initialize() {
     await saveTabStates(tabStates);
 
     // Set up alarm for periodic checks
-    chrome.alarms.create('checkTabs', { periodInMinutes: 1 / 6 }); // Every 10 seconds
+    chrome.alarms.create('checkTabs', { periodInMinutes: ALARM_PERIOD_MS / 60000 }); // Every 10 seconds
 
     // Restore window mode: if last mode was side panel, re-enable panel-on-click behavior
     try {
@@ -86,38 +164,54 @@ async function updateTabState(tab, isActive = false) {
     // Always skip tabs without URLs (incomplete tabs)
     if (!tab.url) return;
 
-    // Check if this is a special tab (chrome://, extension, etc.)
-    const isSpecialTab = tab.url.startsWith('chrome://') ||
-        tab.url.startsWith('chrome-extension://') ||
-        tab.url.startsWith('about:') ||
-        tab.url.startsWith('edge://');
-
-    // Skip special tabs only if autoCloseSpecial is disabled
-    if (isSpecialTab && !settings.autoCloseSpecial) {
+    // Skip special tabs (chrome://, extension, etc.) only if autoCloseSpecial is disabled
+    if (isSpecialUrl(tab.url) && !settings.autoCloseSpecial) {
         return;
     }
 
     const existingState = tabStates[tab.id];
 
-    // Get timeout for this specific URL (checks per-site rules)
-    let countdown = await getTimeoutForUrl(tab.url, settings);
+    // A discarded tab keeps sleeping until it is activated again
+    const isSleeping = !isActive && existingState?.stage === 'sleeping';
+
+    // Get timeout for this specific URL (checks group and per-site rules)
+    // A "never close" rule also covers tabs that are already sleeping
+    const group = await getGroupInfo(tab.groupId);
+    const timeout = await getTimeoutForUrl(tab.url, settings, group?.title || null);
+    let countdown = isSleeping && timeout !== null
+        ? await getSleepTimeoutForUrl(tab.url, settings)
+        : timeout;
 
     const now = Date.now();
 
     // Set lastActiveTime only when tab becomes inactive
     // Active tabs should have null lastActiveTime (countdown doesn't start until you leave)
     let lastActiveTime;
+    let snoozeSeconds = existingState?.snoozeSeconds || 0;
+    let snoozedUntil = existingState?.snoozedUntil || null;
     if (isActive) {
         // Tab is active - reset countdown timer (don't count down)
         lastActiveTime = null;
+        // Coming back to a counting tab resets it, so an earlier snooze no longer applies
+        if (existingState?.lastActiveTime) {
+            snoozeSeconds = 0;
+            snoozedUntil = null;
+        }
     } else if (existingState?.lastActiveTime) {
         // Tab already has a lastActiveTime - keep it (countdown continues)
         lastActiveTime = existingState.lastActiveTime;
     } else {
         // Tab is being created in background or was just left - start countdown now
         lastActiveTime = now;
+        // Snooze time granted while the tab was active runs from now
+        if (snoozeSeconds) snoozedUntil = now + snoozeSeconds * 1000;
     }
 
+    // Snoozing extends the countdown (null = never close stays null)
+    if (countdown !== null) countdown += snoozeSeconds;
+
+    const isListProtected = existingState?.url !== tab.url && isProtectedUrl(tab.url, settings.protectedSites);
+
     tabStates[tab.id] = {
         url: tab.url,
         lastActiveTime: lastActiveTime,
@@ -125,10 +219,88 @@ async function updateTabState(tab, isActive = false) {
         initialCountdown: countdown, // Store initial value for reset
         isPinned: tab.pinned || false,
         hasMedia: tab.audible || false,
-        protected: existingState?.protected || false // Preserve existing protected state
+        // Preserve existing protected state; the always-protect list covers new tabs (also
+        // every tab after a restart, as tab IDs change) and tabs navigating to a listed page
+        protected: existingState?.protected || isListProtected,
+        protectedUntil: isListProtected ? null : existingState?.protectedUntil || null,
+        stage: isSleeping ? 'sleeping' : 'awake',
+        // Only warn once per countdown - a restarted countdown gets a new warning
+        warned: (lastActiveTime !== null && lastActiveTime === existingState?.lastActiveTime && existingState?.warned) || false,
+        snoozeSeconds,
+        snoozedUntil,
+        index: tab.index,
+        group
     };
 }
 
+// Title of a tab's group (null when the tab isn't grouped)
+async function getGroupTitle(groupId) {
+    return (await getGroupInfo(groupId))?.title || null;
+}
+
+// Title and color of a tab's group (null when the tab isn't grouped or the group is gone)
+async function getGroupInfo(groupId) {
+    if (groupId === undefined || groupId === -1) return null;
+    try {
+        const { title, color } = await chrome.tabGroups.get(groupId);
+        return { title: title || '', color };
+    } catch {
+        return null;
+    }
+}
+
+// Keep the stored positions of a window's tabs current - they shift whenever a tab
+// opens, closes or moves, and History needs them for tabs closed in the browser
+async function syncTabIndexes(windowId) {
+    const windowTabs = await chrome.tabs.query({ windowId });
+    for (const tab of windowTabs) {
+        if (tabStates[tab.id]) tabStates[tab.id].index = tab.index;
+    }
+}
+
+// Start counting down for a tab that was just left
+function startCountdown(state, now) {
+    state.lastActiveTime = now;
+    // Snooze time granted while the tab was active runs from now
+    if (state.snoozeSeconds) {
+        state.snoozedUntil = now + state.snoozeSeconds * 1000;
+    }
+}
+
+// Drop any snooze extension from a tab's countdown
+function clearSnooze(state) {
+    if (state.initialCountdown !== null && state.snoozeSeconds) {
+        state.initialCountdown -= state.snoozeSeconds;
+    }
+    state.snoozeSeconds = 0;
+    state.snoozedUntil = null;
+}
+
+// Discard a tab to free its memory and start its sleep countdown
+async function sleepTab(tabId, now = Date.now()) {
+    const state = tabStates[tabId];
+    if (!state) return;
+
+    // Dry run only simulates the sleep stage - the tab stays loaded
+    if (!settings.dryRun) {
+        try {
+            await chrome.tabs.discard(tabId);
+        } catch (error) {
+            // Still move on to the sleep stage so the tab closes on schedule
+            console.error('Error discarding tab:', error);
+        }
+    }
+
+    const sleepTimeout = await getSleepTimeoutForUrl(state.url, settings);
+    state.stage = 'sleeping';
+    state.lastActiveTime = now;
+    state.countdown = sleepTimeout;
+    state.initialCountdown = sleepTimeout;
+    state.warned = false;
+    state.snoozeSeconds = 0;
+    state.snoozedUntil = null;
+}
+
 // Handle tab activation
 async function onTabActivated(activeInfo) {
     const now = Date.now();
@@ -140,7 +312,7 @@ async function onTabActivated(activeInfo) {
         const prevState = tabStates[prevActiveTabId];
         // Only set lastActiveTime if it was null (tab was active)
         if (prevState.lastActiveTime === null) {
-            tabStates[prevActiveTabId].lastActiveTime = now;
+            startCountdown(prevState, now);
         }
     }
 
@@ -152,6 +324,7 @@ async function onTabActivated(activeInfo) {
     const tab = await chrome.tabs.get(activeInfo.tabId);
     await updateTabState(tab, isTrulyActive);
     await saveTabStates(tabStates);
+    await updateContextMenus(tab);
 }
 
 // Handle window focus change
@@ -169,7 +342,7 @@ async function onWindowFocusChanged(newFocusedWindowId) {
     if (previousFocusedWindowId && activeTabsByWindow[previousFocusedWindowId]) {
         const prevActiveTabId = activeTabsByWindow[previousFocusedWindowId];
         if (tabStates[prevActiveTabId] && tabStates[prevActiveTabId].lastActiveTime === null) {
-            tabStates[prevActiveTabId].lastActiveTime = now;
+            startCountdown(tabStates[prevActiveTabId], now);
         }
     }
 
@@ -177,11 +350,84 @@ async function onWindowFocusChanged(newFocusedWindowId) {
     if (focusedWindowId && activeTabsByWindow[focusedWindowId]) {
         const newActiveTabId = activeTabsByWindow[focusedWindowId];
         if (tabStates[newActiveTabId]) {
+            if (tabStates[newActiveTabId].lastActiveTime !== null) {
+                clearSnooze(tabStates[newActiveTabId]);
+            }
             tabStates[newActiveTabId].lastActiveTime = null;
         }
     }
 
     await saveTabStates(tabStates);
+    await updateContextMenus();
+}
+
+// Shift countdowns forward so the time between `since` and `now` doesn't count
+function freezeCountdownsSince(since, now = Date.now()) {
+    for (const state of Object.values(tabStates)) {
+        if (state.lastActiveTime === null) continue;
+        // Tabs left after `since` only lose the time since they were left
+        const frozenFor = now - Math.max(state.lastActiveTime, since);
+        if (frozenFor > 0) {
+            state.lastActiveTime += frozenFor;
+        }
+    }
+}
+
+// Let an open popup/side panel know tab states changed
+function notifyStateUpdated() {
+    chrome.runtime.sendMessage({ type: 'stateUpdated' }).catch(() => {
+        // No popup or side panel open
+    });
+    updateBadge();
+    updateContextMenus();
+}
+
+// Apply idle settings and resume countdowns if they should no longer be frozen
+async function syncIdleDetection() {
+    // Chrome requires an interval of at least 15 seconds
+    chrome.idle.setDetectionInterval(Math.max(15, settings.idleThreshold));
+
+    if (idleSince === null) return;
+
+    const idleState = await chrome.idle.queryState(Math.max(15, settings.idleThreshold));
+    if (!settings.pauseOnIdle || idleState === 'active') {
+        await resumeFromIdle();
+    }
+}
+
+// Handle idle/locked state changes - freeze countdowns while away
+async function onIdleStateChanged(newState) {
+    // The worker may have just been woken by this event
+    await ready;
+
+    if (newState === 'active') {
+        await resumeFromIdle();
+        return;
+    }
+
+    if (!settings.pauseOnIdle || idleSince !== null) return;
+
+    // 'idle' only fires after idleThreshold seconds without input, so count from when input stopped.
+    // 'locked' fires immediately.
+    const now = Date.now();
+    idleSince = newState === 'idle' ? now - settings.idleThreshold * 1000 : now;
+    await chrome.storage.local.set({ idleSince });
+    console.log('QuIt Tab Manager: Machine is', newState, '- countdowns frozen');
+}
+
+// Unfreeze countdowns, skipping the time spent idle
+async function resumeFromIdle() {
+    if (idleSince === null) return;
+
+    // While still paused, only shift up to the pause start - resuming from the pause
+    // covers the rest, so time in both isn't skipped twice
+    freezeCountdownsSince(idleSince, pause?.since ?? Date.now());
+    console.log('QuIt Tab Manager: Resumed after', Math.round((Date.now() - idleSince) / 1000), 'seconds idle');
+
+    idleSince = null;
+    await chrome.storage.local.remove('idleSince');
+    await saveTabStates(tabStates);
+    notifyStateUpdated();
 }
 
 // Handle tab updates
@@ -200,6 +446,12 @@ async function onTabUpdated(tabId, changeInfo, tab) {
         }
     }
 
+    // Moved into or out of a group - a different group rule (or group protection) may apply now
+    if (changeInfo.groupId !== undefined && !changeInfo.url && tabStates[tabId]) {
+        await restartCountdown(tab);
+        notifyStateUpdated();
+    }
+
     // URL changed, reinitialize the tab
     if (changeInfo.url) {
         // Check for QuIt app integration parameters
@@ -216,6 +468,54 @@ async function onTabUpdated(tabId, changeInfo, tab) {
     await saveTabStates(tabStates);
 }
 
+// Moving a tab counts as using it, so its countdown restarts under the rule that applies now
+async function restartCountdown(tab) {
+    const state = tabStates[tab.id];
+    if (!state) return;
+
+    if (state.lastActiveTime !== null) {
+        state.lastActiveTime = Date.now();
+        state.warned = false;
+    }
+    const isActive = activeTabsByWindow[tab.windowId] === tab.id;
+    await updateTabState(tab, isActive);
+}
+
+// Handle a tab moved to another window (it may have left a protected window)
+async function onTabAttached(tabId, attachInfo) {
+    await ready;
+    if (!tabStates[tabId]) return;
+
+    const tab = await chrome.tabs.get(tabId);
+    await restartCountdown(tab);
+    await syncTabIndexes(attachInfo.newWindowId);
+    await saveTabStates(tabStates);
+    notifyStateUpdated();
+}
+
+// Handle a tab taken out of a window - the tabs after it shift left
+async function onTabDetached(tabId, detachInfo) {
+    await ready;
+    await syncTabIndexes(detachInfo.oldWindowId);
+    await saveTabStates(tabStates);
+}
+
+// Handle a tab dragged to another position within its window
+async function onTabMoved(tabId, moveInfo) {
+    await ready;
+    await syncTabIndexes(moveInfo.windowId);
+    await saveTabStates(tabStates);
+}
+
+// Forget protection of a closed group or window (IDs are not reused within a session)
+async function onScopeRemoved(key, id) {
+    await ready;
+    if (!protectedScopes[key].includes(id)) return;
+
+    protectedScopes = { ...protectedScopes, [key]: protectedScopes[key].filter(x => x !== id) };
+    await chrome.storage.session.set({ protectedScopes });
+}
+
 // Handle QuIt app integration - returns true if URL was handled
 async function handleQuitIntegration(tabId, url, tab) {
     // Check if URL has QuIt parameters
@@ -286,7 +586,7 @@ async function handleQuitIntegration(tabId, url, tab) {
                 const isActive = activeTabsByWindow[targetTab.windowId] === targetTabId;
                 await updateTabState(targetTab, isActive);
             }
-            tabStates[targetTabId].protected = true;
+            protectTab(targetTabId);
             await saveTabStates(tabStates);
             console.log('QuIt Integration: Set tab', targetTabId, 'as protected');
         }
@@ -305,9 +605,98 @@ async function handleQuitIntegration(tabId, url, tab) {
     }
 }
 
+// Handle group changes (a rename can change which group rule applies)
+async function onTabGroupUpdated(group) {
+    await ready;
+
+    const groupTabs = await chrome.tabs.query({ groupId: group.id });
+    for (const tab of groupTabs) {
+        const isActive = activeTabsByWindow[tab.windowId] === tab.id;
+        await updateTabState(tab, isActive);
+    }
+    await saveTabStates(tabStates);
+    notifyStateUpdated();
+}
+
 // Handle tab creation
 async function onTabCreated(tab) {
     await updateTabState(tab, false);
+    await syncTabIndexes(tab.windowId);
+    await enforceTabLimits(tab);
+    await saveTabStates(tabStates);
+}
+
+// Close least-recently-used tabs when a new tab pushes the count over maxTabs / maxTabsPerWindow
+async function enforceTabLimits(newTab) {
+    await ready;
+    if (!getEffectiveSettings(settings).enabled || pause !== null) return;
+    if (!settings.maxTabs && !settings.maxTabsPerWindow) return;
+
+    const openTabs = (await chrome.tabs.query({})).filter(t => !explicitlyClosedTabs.has(t.id));
+
+    // Eviction candidates, least recently used first - never the new tab
+    // or a tab the alarm wouldn't close either. Use is the browser's last access
+    // time: lastActiveTime is moved by sleeping, restarts and frozen countdowns
+    const lastUsed = t => t.lastAccessed ?? tabStates[t.id].lastActiveTime;
+    const candidates = openTabs
+        .filter(t => t.id !== newTab.id &&
+            getCloseStatus(t, tabStates[t.id], settings, { focusedWindowId, protectedScopes })?.status === 'counting')
+        .sort((a, b) => lastUsed(a) - lastUsed(b));
+
+    const evicted = new Set();
+    const countOpen = (windowId) => openTabs.filter(t =>
+        !evicted.has(t.id) && (windowId === undefined || t.windowId === windowId)
+    ).length;
+
+    if (settings.maxTabsPerWindow) {
+        for (const tab of candidates) {
+            if (countOpen(newTab.windowId) <= settings.maxTabsPerWindow) break;
+            if (tab.windowId === newTab.windowId) evicted.add(tab.id);
+        }
+    }
+
+    if (settings.maxTabs) {
+        for (const tab of candidates) {
+            if (countOpen() <= settings.maxTabs) break;
+            evicted.add(tab.id);
+        }
+    }
+
+    if (evicted.size > 0) {
+        console.log('QuIt Tab Manager: Tab limit reached,', settings.dryRun ? 'dry run - would close' : 'closing',
+            evicted.size, 'least recently used tabs');
+    }
+
+    if (settings.dryRun) {
+        for (const tab of candidates.filter(t => evicted.has(t.id))) {
+            await simulateClose(tab, 'tab_limit');
+        }
+        return;
+    }
+
+    for (const tabId of evicted) {
+        try {
+            await closeTabWithHistory(tabId, 'tab_limit');
+            delete tabStates[tabId];
+        } catch (error) {
+            console.error('Error closing tab over the limit:', error);
+        }
+    }
+}
+
+// Handle tab replacement (e.g. Chrome swapping in a new tab ID after discarding)
+async function onTabReplaced(addedTabId, removedTabId) {
+    if (tabStates[removedTabId]) {
+        tabStates[addedTabId] = tabStates[removedTabId];
+        delete tabStates[removedTabId];
+    }
+
+    for (const [windowId, tabId] of Object.entries(activeTabsByWindow)) {
+        if (tabId === removedTabId) {
+            activeTabsByWindow[windowId] = addedTabId;
+        }
+    }
+
     await saveTabStates(tabStates);
 }
 
@@ -324,6 +713,7 @@ async function onTabRemoved(tabId, removeInfo) {
             delete activeTabsByWindow[removeInfo.windowId];
         }
 
+        if (!removeInfo.isWindowClosing) await syncTabIndexes(removeInfo.windowId);
         await saveTabStates(tabStates);
         return;
     }
@@ -348,7 +738,11 @@ async function onTabRemoved(tabId, removeInfo) {
                 favicon: tabFavicon,
                 closeReason: 'manual_browser',
                 windowId: removeInfo.windowId,
-                groupId: null // Group info not available at this point
+                groupId: null, // The tab's group may already be gone - its title and color are kept below
+                index: tabState.index,
+                pinned: tabState.isPinned,
+                group: tabState.group,
+                protected: tabState.protected
             });
         } catch (error) {
             console.error('Error recording tab removal to history:', error);
@@ -362,215 +756,1377 @@ async function onTabRemoved(tabId, removeInfo) {
         delete activeTabsByWindow[removeInfo.windowId];
     }
 
+    if (!removeInfo.isWindowClosing) await syncTabIndexes(removeInfo.windowId);
     await saveTabStates(tabStates);
 }
 
+// Re-evaluate every tab's countdown (after settings or the schedule profile change)
+async function refreshAllTabStates() {
+    const allTabs = await chrome.tabs.query({});
+    for (const tab of allTabs) {
+        // Check if this tab is currently active in its window
+        const isActive = activeTabsByWindow[tab.windowId] === tab.id;
+        await updateTabState(tab, isActive);
+    }
+    await saveTabStates(tabStates);
+}
+
+// Pick up saved settings changes and re-evaluate all tabs with them
+async function reloadSettings() {
+    settings = await getSettings();
+    await applyProtectedSites();
+    await syncIdleDetection();
+    await syncActiveProfile();
+    await refreshAllTabStates();
+    await updateBadge();
+    await updateContextMenus();
+}
+
+// Protect open tabs matching entries added to the always-protect list, and unprotect
+// tabs that only removed entries matched (their countdowns restart)
+async function applyProtectedSites() {
+    const current = settings.protectedSites || [];
+    const key = entry => `${entry.matchType}:${entry.pattern}`;
+    const currentKeys = new Set(current.map(key));
+    const previousKeys = new Set(appliedProtectedSites.map(key));
+    const added = current.filter(entry => !previousKeys.has(key(entry)));
+    const removed = appliedProtectedSites.filter(entry => !currentKeys.has(key(entry)));
+    appliedProtectedSites = current;
+    if (added.length === 0 && removed.length === 0) return;
+    await chrome.storage.local.set({ appliedProtectedSites });
+
+    for (const tab of await chrome.tabs.query({})) {
+        const state = tabStates[tab.id];
+        if (!state) continue;
+        if (isProtectedUrl(tab.url, added)) {
+            protectTab(tab.id);
+        } else if (state.protected && isProtectedUrl(tab.url, removed) && !isProtectedUrl(tab.url, current)) {
+            await unprotectTab(tab.id);
+        }
+    }
+    await saveTabStates(tabStates);
+}
+
+// Track the schedule profile in effect and recompute countdowns when it changes
+async function syncActiveProfile(now = Date.now()) {
+    const profile = getActiveProfile(settings, new Date(now));
+    const name = profile?.name ?? null;
+    if (activeProfile && activeProfile.name === name) return;
+
+    const previous = activeProfile;
+    activeProfile = { name, since: now, autoCloseOff: !!profile && !profile.enabled };
+    await chrome.storage.local.set({ activeProfile });
+
+    // Nothing recorded yet (first run) - states were just computed for this profile
+    if (!previous) return;
+
+    console.log('QuIt Tab Manager: Schedule profile changed to', name ?? 'default');
+
+    // Time spent under a profile with auto-close off doesn't count towards countdowns
+    if (previous.autoCloseOff) {
+        freezeCountdownsSince(previous.since, now);
+    }
+
+    await refreshAllTabStates();
+    notifyStateUpdated();
+}
+
 // Main alarm handler - check all tabs
 async function onAlarm(alarm) {
     if (alarm.name !== 'checkTabs') return;
-    if (!settings.enabled) return;
+
+    // The first tick after a wake usually cold-starts the worker
+    await ready;
+
+    // A long gap since the previous tick means the machine was suspended -
+    // don't let the time spent asleep count towards any countdown
+    const tickTime = Date.now();
+    const { lastAlarmTime } = await chrome.storage.local.get('lastAlarmTime');
+    await chrome.storage.local.set({ lastAlarmTime: tickTime });
+    if (lastAlarmTime && tickTime - lastAlarmTime > SUSPEND_GAP_MS && idleSince === null && pause === null) {
+        console.log('QuIt Tab Manager: Woke after', Math.round((tickTime - lastAlarmTime) / 1000), 'seconds - rebasing countdowns');
+        freezeCountdownsSince(lastAlarmTime, tickTime);
+        await saveTabStates(tabStates);
+        notifyStateUpdated();
+    }
+
+    // Switch schedule profiles when a day/hour boundary is crossed
+    await syncActiveProfile(tickTime);
+
+    // Timed protections run out by the clock, even while auto-close is off or paused
+    await expireProtections(tickTime);
+
+    if (!getEffectiveSettings(settings).enabled) return;
+
+    // Countdowns are frozen while the machine is idle or locked, or auto-close is paused
+    if (idleSince !== null || pause !== null) return;
 
     // Refresh settings in case they changed
     settings = await getSettings();
 
     const now = Date.now();
-    const activeTabs = await chrome.tabs.query({ active: true });
-
-    // Determine which tabs are "truly active" based on focusedWindowOnly setting
-    let trulyActiveTabIds;
-    if (settings.focusedWindowOnly && focusedWindowId) {
-        // In single window mode, only the active tab in the focused window is truly active
-        trulyActiveTabIds = new Set(
-            activeTabs.filter(t => t.windowId === focusedWindowId).map(t => t.id)
-        );
-    } else {
-        // In multi-window mode, all active tabs are truly active
-        trulyActiveTabIds = new Set(activeTabs.map(t => t.id));
-    }
+    const tabsById = new Map((await chrome.tabs.query({})).map(t => [t.id, t]));
 
-    const tabsToClose = [];
+    const expiredTabs = [];
+    const tabsToSleep = [];
+    const tabsToWarn = [];
+    let soonestWarning = Infinity;
 
     for (const [tabId, state] of Object.entries(tabStates)) {
         const id = parseInt(tabId);
+        const tab = tabsById.get(id);
+        if (!tab) continue;
 
-        // Skip truly active tabs (depends on focusedWindowOnly setting)
-        if (trulyActiveTabIds.has(id)) continue;
+        // Skip truly active (depends on focusedWindowOnly), never-close, pinned, protected
+        // (tab, group or window), media and special tabs - same rules the popup displays
+        if (getCloseStatus(tab, state, settings, { focusedWindowId, protectedScopes })?.status !== 'counting') continue;
 
-        // Skip if countdown hasn't started yet (tab never left)
-        if (state.lastActiveTime === null) continue;
-
-        // Skip if countdown is null (never close)
-        if (state.countdown === null) continue;
-
-        // Skip pinned tabs if setting is disabled
-        if (state.isPinned && !settings.autoClosePinned) continue;
+        // Update countdown
+        const remaining = getRemainingSeconds(state, now);
+        state.countdown = remaining;
+
+        // Warn shortly before the tab is actually closed (not before it is put to sleep).
+        // The window is at least one tick, and a tab that reached zero without a warning
+        // (e.g. it jumped past the window) is warned now and closed a tick later instead
+        const closesNext = !settings.sleepBeforeClose || state.stage === 'sleeping';
+        const warningSeconds = Math.max(settings.warningSeconds, ALARM_PERIOD_MS / 1000);
+        if (settings.warnBeforeClose && closesNext && !state.warned && remaining <= warningSeconds) {
+            state.warned = true;
+            tabsToWarn.push(id);
+            soonestWarning = Math.min(soonestWarning, Math.max(remaining, ALARM_PERIOD_MS / 1000));
+            if (remaining <= 0) continue;
+        }
 
-        // Skip if protected
-        if (state.protected) continue;
+        // Countdown reached zero: discard first if sleeping is enabled, otherwise mark for closure
+        if (remaining <= 0) {
+            if (settings.sleepBeforeClose && state.stage !== 'sleeping') {
+                tabsToSleep.push(id);
+            } else {
+                expiredTabs.push({ id, remaining });
+            }
+        }
+    }
 
-        // Pause countdown if media is playing and setting enabled
-        if (state.hasMedia && settings.pauseOnMedia) continue;
+    // Put newly expired tabs to sleep (they stay in the tab strip)
+    for (const id of tabsToSleep) {
+        await sleepTab(id, now);
+    }
 
-        // Calculate time inactive
-        const inactiveTime = Math.floor((now - state.lastActiveTime) / 1000);
+    // Tabs entering the warning window in the same tick share one notification
+    // (no warnings in dry run - nothing is actually going to close)
+    if (tabsToWarn.length > 0 && !settings.dryRun) {
+        try {
+            await showCloseWarning(tabsToWarn, soonestWarning);
+        } catch (error) {
+            console.error('Error showing close warning:', error);
+        }
+    }
 
-        // Update countdown
-        const remaining = state.initialCountdown - inactiveTime;
-        state.countdown = Math.max(0, remaining);
+    // Close the most overdue tabs first and stagger the rest over later ticks
+    expiredTabs.sort((a, b) => a.remaining - b.remaining);
+    const tabsToClose = expiredTabs.slice(0, MAX_CLOSES_PER_TICK).map(t => t.id);
+    if (expiredTabs.length > tabsToClose.length) {
+        console.log('QuIt Tab Manager: Deferring', expiredTabs.length - tabsToClose.length, 'expired tabs to later ticks');
+    }
 
-        // Mark for closure if countdown reached zero
-        if (remaining <= 0) {
-            tabsToClose.push(id);
+    // Dry run: log what would have closed instead of closing it
+    if (tabsToClose.length > 0 && settings.dryRun) {
+        console.log('QuIt Tab Manager: Dry run - would close', tabsToClose.length, 'inactive tabs');
+        for (const tabId of tabsToClose) {
+            const tab = tabsById.get(tabId);
+            if (tab) await simulateClose(tab, 'timeout');
         }
+        notifyStateUpdated();
     }
 
-    // Close tabs (handle last tab in window specially)
-    if (tabsToClose.length > 0) {
+    // Close tabs (a window whose tabs are all closing follows the last-tab setting)
+    if (tabsToClose.length > 0 && !settings.dryRun) {
         console.log('QuIt Tab Manager: Closing', tabsToClose.length, 'inactive tabs');
 
-        // Get all tabs to check if any are the last in their window
-        const allTabs = await chrome.tabs.query({});
+        // Group tabs by window to find windows whose every tab is closing
+        const closingIds = new Set(tabsToClose);
         const tabsByWindow = {};
-        allTabs.forEach(t => {
+        for (const t of tabsById.values()) {
             if (!tabsByWindow[t.windowId]) tabsByWindow[t.windowId] = [];
-            tabsByWindow[t.windowId].push(t.id);
-        });
+            tabsByWindow[t.windowId].push(t);
+        }
 
-        const windowsToClose = [];
         const tabsToRemove = [];
+        const emptiedWindows = [];
+        for (const [windowId, windowTabs] of Object.entries(tabsByWindow)) {
+            const closing = windowTabs.filter(t => closingIds.has(t.id));
+            if (closing.length === 0) continue;
+            if (closing.length === windowTabs.length) {
+                emptiedWindows.push({ windowId: parseInt(windowId), tabs: windowTabs });
+            } else {
+                tabsToRemove.push(...closing.map(t => t.id));
+            }
+        }
+
+        // History is recorded below - don't let onTabRemoved log these as browser closes
+        tabsToClose.forEach(id => explicitlyClosedTabs.add(id));
+
+        // Note where each tab sits while its group still exists
+        const placements = new Map();
+        for (const tabId of tabsToClose) {
+            const tab = tabsById.get(tabId);
+            if (tab) placements.set(tabId, await getTabPlacement(tab));
+        }
+
+        // Tabs still open afterwards: the kept tab ('keep' and 'minimize') or a window that failed to close
+        const keptTabIds = new Set();
+        for (const { windowId, tabs } of emptiedWindows) {
+            try {
+                const keptTabId = await closeWindowTabs(windowId, tabs, settings.lastTabBehavior);
+                if (keptTabId !== null) keptTabIds.add(keptTabId);
+            } catch (e) {
+                console.error('Error closing window:', e);
+                tabs.forEach(t => keptTabIds.add(t.id));
+            }
+        }
+
+        // Close regular tabs
+        if (tabsToRemove.length > 0) {
+            await chrome.tabs.remove(tabsToRemove);
+        }
 
         for (const tabId of tabsToClose) {
-            const tab = allTabs.find(t => t.id === tabId);
+            const tab = tabsById.get(tabId);
             if (!tab) continue;
 
-            // Record to history before closing (timeout auto-quit)
+            // A tab left open starts a fresh countdown instead of expiring again next tick
+            if (keptTabIds.has(tabId)) {
+                explicitlyClosedTabs.delete(tabId);
+                delete tabStates[tabId];
+                await updateTabState(tab, false);
+                continue;
+            }
+
+            // Record to history (timeout auto-quit)
             try {
-                const tabState = tabStates[tabId];
                 await addHistoryEntry({
-                    url: tab.url || tabState?.url || '',
+                    url: tab.url || tabStates[tabId]?.url || '',
                     title: tab.title || 'Untitled',
                     favicon: tab.favIconUrl || '',
                     closeReason: 'timeout',
                     windowId: tab.windowId,
-                    groupId: tab.groupId !== -1 ? tab.groupId : null
+                    groupId: tab.groupId !== -1 ? tab.groupId : null,
+                    ...placements.get(tabId)
                 });
             } catch (error) {
                 console.error('Error recording timeout close to history:', error);
             }
 
-            // Check if this is the last tab in its window
-            if (tabsByWindow[tab.windowId] && tabsByWindow[tab.windowId].length === 1) {
-                // Close the entire window instead
-                windowsToClose.push(tab.windowId);
-            } else {
-                tabsToRemove.push(tabId);
-            }
+            // Clean up state
+            delete tabStates[tabId];
         }
+        notifyStateUpdated();
+    }
 
-        // Close windows (which closes their last tab)
-        for (const windowId of windowsToClose) {
-            try {
-                await chrome.windows.remove(windowId);
-            } catch (e) {
-                console.error('Error closing window:', e);
-            }
-        }
+    await saveTabStates(tabStates);
+    await updateBadge();
+}
 
-        // Close regular tabs
-        if (tabsToRemove.length > 0) {
-            await chrome.tabs.remove(tabsToRemove);
-        }
+// ============================================================================
+// Tab Actions (shared by popup messages, notifications and keyboard commands)
+// ============================================================================
+
+// Protect a tab from auto-closing, until `until` (timestamp) or indefinitely - returns false if the tab isn't tracked
+function protectTab(tabId, until = null) {
+    if (!tabStates[tabId]) return false;
+    tabStates[tabId].protected = true;
+    tabStates[tabId].protectedUntil = until;
+    return true;
+}
+
+// Remove protection and restart the tab's countdown - returns false if the tab isn't tracked
+async function unprotectTab(tabId) {
+    if (!tabStates[tabId]) return false;
+    tabStates[tabId].protected = false;
+    tabStates[tabId].protectedUntil = null;
+
+    // Check if this tab is currently active
+    const tab = await chrome.tabs.get(tabId);
+    const isActive = activeTabsByWindow[tab.windowId] === tabId;
+
+    // Get the appropriate countdown for this tab's URL and group (a group rule wins)
+    const newCountdown = await getTimeoutForUrl(tab.url, settings, await getGroupTitle(tab.groupId));
+
+    // Only start countdown if tab is not currently active
+    if (isActive) {
+        // Tab is active - no countdown yet
+        tabStates[tabId].lastActiveTime = null;
+    } else {
+        // Tab is inactive - restart countdown from beginning
+        tabStates[tabId].lastActiveTime = Date.now();
+    }
+    tabStates[tabId].countdown = newCountdown;
+    tabStates[tabId].initialCountdown = newCountdown;
+    tabStates[tabId].stage = 'awake';
+    tabStates[tabId].warned = false;
+    tabStates[tabId].snoozeSeconds = 0;
+    tabStates[tabId].snoozedUntil = null;
+    return true;
+}
 
-        // Clean up states
-        tabsToClose.forEach(id => delete tabStates[id]);
+// Drop protections whose time ran out - their countdowns restart like a manual unprotect
+async function expireProtections(now = Date.now()) {
+    let changed = false;
+    for (const [tabId, state] of Object.entries(tabStates)) {
+        if (!state.protected || !state.protectedUntil || state.protectedUntil > now) continue;
+        try {
+            changed = await unprotectTab(parseInt(tabId)) || changed;
+        } catch {
+            // Tab closed meanwhile - onTabRemoved drops its state
+        }
     }
+    if (!changed) return;
 
     await saveTabStates(tabStates);
+    notifyStateUpdated();
 }
 
-// Get the currently active tab
-async function getActiveTab() {
-    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-    return tabs[0] || null;
+// Protect or unprotect a whole group or window - tabs in it now or later never auto-close
+async function setScopeProtected(scope, id, isProtected) {
+    const key = scope === 'group' ? 'groups' : 'windows';
+    const ids = protectedScopes[key].filter(x => x !== id);
+    if (isProtected) ids.push(id);
+    protectedScopes = { ...protectedScopes, [key]: ids };
+    await chrome.storage.session.set({ protectedScopes });
+
+    // Like unprotecting a single tab, countdowns start over rather than expiring at once
+    if (!isProtected) {
+        const scopeTabs = await chrome.tabs.query(scope === 'group' ? { groupId: id } : { windowId: id });
+        for (const tab of scopeTabs) {
+            await restartCountdown(tab);
+        }
+        await saveTabStates(tabStates);
+    }
 }
 
-// Handle messages from popup/options
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    handleMessage(message, sender, sendResponse);
-    return true; // Keep channel open for async response
-});
+// Push a tab's close time back by `seconds` (`until`: the time it now closes, for the
+// list marker) - returns false if the tab isn't tracked
+function snoozeTab(tabId, seconds, until = null) {
+    const state = tabStates[tabId];
+    if (!state) return false;
 
-async function handleMessage(message, sender, sendResponse) {
+    state.snoozeSeconds = (state.snoozeSeconds || 0) + seconds;
+    if (state.initialCountdown !== null) {
+        state.initialCountdown += seconds;
+        state.countdown += seconds;
+    }
+
+    // An active tab's extension starts counting once the tab is left
+    if (state.lastActiveTime !== null) {
+        state.snoozedUntil = until || Math.max(state.snoozedUntil || 0, Date.now()) + seconds * 1000;
+    }
+    state.warned = false;
+    return true;
+}
+
+// Close a tab and record it to history with the given reason
+async function closeTabWithHistory(tabId, closeReason) {
     try {
-        switch (message.type) {
-            case 'getTabStates':
-                sendResponse({ success: true, data: tabStates });
-                break;
+        const tab = await chrome.tabs.get(tabId);
+
+        // Mark tab as explicitly closed to prevent double logging
+        explicitlyClosedTabs.add(tabId);
+
+        await addHistoryEntry({
+            url: tab.url,
+            title: tab.title || 'Untitled',
+            favicon: tab.favIconUrl || '',
+            closeReason,
+            windowId: tab.windowId,
+            groupId: tab.groupId !== -1 ? tab.groupId : null,
+            ...await getTabPlacement(tab)
+        });
+        await chrome.tabs.remove(tabId);
+    } catch (error) {
+        // Clean up if error occurs
+        explicitlyClosedTabs.delete(tabId);
+        throw error;
+    }
+}
 
-            case 'getSettings':
-                sendResponse({ success: true, data: settings });
-                break;
+// Where a tab sits, for History to put it back: position, pinned, group (by title and
+// color, as group IDs don't survive a restart) and protection
+async function getTabPlacement(tab) {
+    return {
+        index: tab.index,
+        pinned: tab.pinned || false,
+        group: await getGroupInfo(tab.groupId),
+        protected: !!tabStates[tab.id]?.protected
+    };
+}
 
-            case 'protectTab':
-                if (tabStates[message.tabId]) {
-                    tabStates[message.tabId].protected = true;
-                    await saveTabStates(tabStates);
-                    sendResponse({ success: true });
-                } else {
-                    sendResponse({ success: false, error: 'Tab not found' });
-                }
-                break;
+// Pair History entries with the browser's recently closed tabs (same URL, closed at about
+// the same time) - returns a Map of entry ID -> sessionId, each closed tab used at most once
+async function matchClosedSessions(entries) {
+    const sessions = await chrome.sessions.getRecentlyClosed();
+    const closedTabs = sessions.flatMap(session => {
+        const closedAt = session.lastModified * 1000;
+        const tabs = session.tab ? [session.tab] : session.window?.tabs || [];
+        return tabs.map(tab => ({ url: tab.url, sessionId: tab.sessionId, closedAt }));
+    });
 
-            case 'unprotectTab':
-                if (tabStates[message.tabId]) {
-                    tabStates[message.tabId].protected = false;
-
-                    // Check if this tab is currently active
-                    const unprotectTab = await chrome.tabs.get(message.tabId);
-                    const isUnprotectTabActive = activeTabsByWindow[unprotectTab.windowId] === message.tabId;
-
-                    // Get the appropriate countdown for this tab's URL
-                    const newCountdown = await getTimeoutForUrl(unprotectTab.url, settings);
-
-                    // Only start countdown if tab is not currently active
-                    if (isUnprotectTabActive) {
-                        // Tab is active - no countdown yet
-                        tabStates[message.tabId].lastActiveTime = null;
-                    } else {
-                        // Tab is inactive - restart countdown from beginning
-                        tabStates[message.tabId].lastActiveTime = Date.now();
-                    }
-                    tabStates[message.tabId].countdown = newCountdown;
-                    tabStates[message.tabId].initialCountdown = newCountdown;
-                    await saveTabStates(tabStates);
+    const matches = new Map();
+    const used = new Set();
+    for (const entry of entries) {
+        let best = null;
+        for (const closed of closedTabs) {
+            if (used.has(closed.sessionId) || closed.url !== entry.url) continue;
+            const gap = Math.abs(closed.closedAt - entry.timestamp);
+            if (gap <= SESSION_MATCH_MS && (!best || gap < best.gap)) best = { sessionId: closed.sessionId, gap };
+        }
+        if (best) {
+            used.add(best.sessionId);
+            matches.set(entry.id, best.sessionId);
+        }
+    }
+    return matches;
+}
+
+// Reopen a closed tab from History. While the browser still has it in its recently closed
+// list it comes back from there, with its back/forward history and form state; otherwise
+// reopenClosedTab puts it back where it was
+async function restoreClosedTab(entry) {
+    const [sessionId] = (await matchClosedSessions([entry])).values();
+    if (!sessionId) return reopenClosedTab(entry);
+
+    const restored = await chrome.sessions.restore(sessionId);
+    const restoredTab = restored.tab || restored.window?.tabs.find(t => t.url === entry.url);
+    if (!restoredTab) return null;
+
+    // The browser may not bring back the group, so rejoin it when needed
+    const tab = await chrome.tabs.get(restoredTab.id);
+    if (tab.groupId === -1) await regroupRestoredTab(tab, entry);
+    if (entry.protected) await protectRestoredTab(tab);
+    return tab;
+}
+
+// Open a closed tab's URL where the tab was: in its window if that is still open, at its
+// old position, pinned, in a group with the same title and color (recreated if needed)
+// and protected as before
+async function reopenClosedTab(entry) {
+    // Window IDs are reused after a restart, so only trust one from this browser session
+    let windowId = null;
+    if (entry.windowId && entry.timestamp >= browserSessionStart) {
+        try {
+            await chrome.windows.get(entry.windowId);
+            windowId = entry.windowId;
+        } catch {
+            // Window closed since - open in the current one
+        }
+    }
+
+    const createProperties = { url: entry.url, pinned: !!entry.pinned };
+    if (windowId !== null) {
+        createProperties.windowId = windowId;
+        if (entry.index !== null && entry.index !== undefined) createProperties.index = entry.index;
+    }
+    const tab = await chrome.tabs.create(createProperties);
+    if (windowId !== null) await chrome.windows.update(windowId, { focused: true });
+
+    await regroupRestoredTab(tab, entry);
+    if (entry.protected) await protectRestoredTab(tab);
+    return tab;
+}
+
+// Put a reopened tab back in its group - joins an open group with the same title and
+// color in the tab's window, or recreates it
+async function regroupRestoredTab(tab, entry) {
+    // Pinned tabs can't be grouped
+    if (!entry.group || entry.pinned) return;
+
+    const [existing] = await chrome.tabGroups.query({
+        windowId: tab.windowId,
+        title: entry.group.title,
+        color: entry.group.color
+    });
+    if (existing) {
+        await chrome.tabs.group({ groupId: existing.id, tabIds: [tab.id] });
+    } else {
+        const groupId = await chrome.tabs.group({ tabIds: [tab.id], createProperties: { windowId: tab.windowId } });
+        await chrome.tabGroups.update(groupId, { title: entry.group.title, color: entry.group.color });
+    }
+}
+
+// Protect a tab reopened from History (its state may not be tracked yet)
+async function protectRestoredTab(tab) {
+    if (!tabStates[tab.id]) await updateTabState(tab, tab.active);
+    protectTab(tab.id);
+    await saveTabStates(tabStates);
+}
+
+// Remember the tabs of a popup batch close (Quit All, or closing a selection, group or
+// window) with where they were, so undoCloseBatch can bring them all back
+async function recordCloseBatch(tabIds) {
+    const now = Date.now();
+    const tabs = [];
+    for (const tabId of tabIds) {
+        try {
+            const tab = await chrome.tabs.get(tabId);
+            tabs.push({
+                id: String(tab.id), // Key for matchClosedSessions
+                tabId: tab.id,
+                url: tab.url,
+                windowId: tab.windowId,
+                timestamp: now,
+                ...await getTabPlacement(tab)
+            });
+        } catch {
+            // Tab already closed
+        }
+    }
+
+    // Reopened in window and tab order, so each tab lands at its old position
+    tabs.sort((a, b) => a.windowId - b.windowId || a.index - b.index);
+
+    // Session storage outlives a worker restart between the close and the undo
+    await chrome.storage.session.set({ lastCloseBatch: tabs });
+}
+
+// Reopen every tab of the last batch close - a window closed along with its tabs comes
+// back as a new window. Returns how many tabs were reopened
+async function undoCloseBatch() {
+    const { lastCloseBatch: batch = [] } = await chrome.storage.session.get('lastCloseBatch');
+    await chrome.storage.session.remove('lastCloseBatch');
+
+    const openTabIds = new Set((await chrome.tabs.query({})).map(t => t.id));
+    const windowIds = new Map(); // Original window ID -> window to reopen in
+    const placeholderTabIds = [];
+    let reopened = 0;
+
+    for (const entry of batch) {
+        // Left open, e.g. the last tab of a window with "keep last tab"
+        if (openTabIds.has(entry.tabId)) continue;
+
+        if (!windowIds.has(entry.windowId)) {
+            try {
+                await chrome.windows.get(entry.windowId);
+                windowIds.set(entry.windowId, entry.windowId);
+            } catch {
+                // A new window opens with a new tab page, removed once the tabs are back
+                const newWindow = await chrome.windows.create({ focused: true });
+                windowIds.set(entry.windowId, newWindow.id);
+                placeholderTabIds.push(newWindow.tabs[0].id);
+            }
+        }
+
+        const windowId = windowIds.get(entry.windowId);
+        try {
+            if (windowId === entry.windowId) {
+                await restoreClosedTab(entry);
+            } else {
+                await reopenClosedTab({ ...entry, windowId });
+            }
+            reopened++;
+        } catch (error) {
+            console.error('Error reopening tab:', entry.url, error);
+        }
+    }
+
+    if (placeholderTabIds.length > 0) {
+        placeholderTabIds.forEach(id => explicitlyClosedTabs.add(id));
+        await chrome.tabs.remove(placeholderTabIds);
+    }
+    return reopened;
+}
+
+// ============================================================================
+// Sessions
+// ============================================================================
+
+// Restore a saved session into a new window, recreating its groups. Done here rather
+// than in the popup, which closes as soon as the new window takes focus
+async function restoreSession(session) {
+    if (session.tabs.length === 0) return;
+
+    // The window opens with a new tab page, removed once the session's tabs are in
+    // (without logging it to History)
+    const newWindow = await chrome.windows.create({ focused: true });
+    const placeholderTabId = newWindow.tabs[0].id;
+    const tabIds = [];
+
+    for (const tab of session.tabs) {
+        try {
+            const created = await chrome.tabs.create({ windowId: newWindow.id, url: tab.url, active: false });
+            tabIds.push(created.id);
+        } catch (error) {
+            // Some browser pages can't be opened by extensions
+            console.warn('Skipped session tab:', tab.url, error);
+            tabIds.push(null);
+        }
+    }
+
+    explicitlyClosedTabs.add(placeholderTabId);
+    if (tabIds.every(id => id === null)) {
+        await chrome.windows.remove(newWindow.id);
+        throw new Error('None of the session\'s tabs could be opened');
+    }
+    await chrome.tabs.remove(placeholderTabId);
+    await chrome.tabs.update(tabIds.find(id => id !== null), { active: true });
+
+    // Pinning moves tabs to the front, so do it before grouping
+    for (let i = 0; i < session.tabs.length; i++) {
+        if (session.tabs[i].pinned && tabIds[i] !== null) {
+            await chrome.tabs.update(tabIds[i], { pinned: true });
+        }
+    }
+
+    for (let g = 0; g < session.groups.length; g++) {
+        const groupTabIds = tabIds.filter((id, i) => id !== null && session.tabs[i].group === g && !session.tabs[i].pinned);
+        if (groupTabIds.length === 0) continue;
+        const groupId = await chrome.tabs.group({ tabIds: groupTabIds, createProperties: { windowId: newWindow.id } });
+        await chrome.tabGroups.update(groupId, {
+            title: session.groups[g].title,
+            color: session.groups[g].color
+        });
+    }
+}
+
+// ============================================================================
+// Close Warnings
+// ============================================================================
+
+// Show one notification for all tabs that are about to close
+async function showCloseWarning(tabIds, secondsLeft) {
+    const tabs = await getOpenTabs(tabIds);
+    if (tabs.length === 0) return;
+
+    const timeLeft = secondsLeft < 60 ? `${secondsLeft} sec` : `${Math.ceil(secondsLeft / 60)} min`;
+    await showWarningNotification(WARNING_NOTIFICATION_PREFIX, tabs, {
+        title: tabs.length === 1 ? (tabs[0].title || 'Untitled') : `${tabs.length} tabs closing in ${timeLeft}`,
+        message: tabs.length === 1 ? `Closing in ${timeLeft}.` : '',
+        buttons: [{ title: 'Keep (protect)' }, { title: 'Snooze or close now...' }]
+    });
+}
+
+// Second step of a close warning: notifications only allow two buttons,
+// so Snooze and the destructive Close now share a follow-up notification
+async function showCloseChoice(tabIds) {
+    const tabs = await getOpenTabs(tabIds);
+    if (tabs.length === 0) return;
+
+    await showWarningNotification(CHOICE_NOTIFICATION_PREFIX, tabs, {
+        title: tabs.length === 1 ? (tabs[0].title || 'Untitled') : `${tabs.length} tabs about to close`,
+        message: tabs.length === 1 ? 'Snooze it, or close it right away?' : '',
+        buttons: [{ title: `Snooze ${SNOOZE_SECONDS / 60} min` }, { title: 'Close now' }]
+    });
+}
+
+// Get the tabs that are still open
+async function getOpenTabs(tabIds) {
+    const tabs = [];
+    for (const tabId of tabIds) {
+        try {
+            tabs.push(await chrome.tabs.get(tabId));
+        } catch {
+            // Tab closed in the meantime
+        }
+    }
+    return tabs;
+}
+
+// Create a warning notification listing the tabs (a basic one for a single tab)
+async function showWarningNotification(prefix, tabs, { title, message, buttons }) {
+    const options = { iconUrl: 'icons/icon128.png', title, message, buttons, priority: 1 };
+    if (tabs.length === 1) {
+        options.type = 'basic';
+    } else {
+        options.type = 'list';
+        options.items = tabs.map(t => ({ title: t.title || 'Untitled', message: '' }));
+    }
+
+    // Encode the tab IDs in the notification ID so actions still work after a worker restart
+    await chrome.notifications.create(prefix + tabs.map(t => t.id).join(','), options);
+}
+
+// Get the tab IDs a close warning notification is about (empty if it isn't one)
+function getWarningTabIds(notificationId) {
+    const prefix = [WARNING_NOTIFICATION_PREFIX, CHOICE_NOTIFICATION_PREFIX].find(p => notificationId.startsWith(p));
+    if (!prefix) return [];
+    return notificationId.slice(prefix.length).split(',').map(id => parseInt(id));
+}
+
+// Handle the buttons on a close warning: Keep / "Snooze or close now...",
+// then Snooze / Close now on the follow-up
+async function onNotificationButtonClicked(notificationId, buttonIndex) {
+    const tabIds = getWarningTabIds(notificationId);
+    if (tabIds.length === 0) return;
+    await ready;
+
+    chrome.notifications.clear(notificationId);
+
+    if (notificationId.startsWith(WARNING_NOTIFICATION_PREFIX)) {
+        if (buttonIndex === 0) {
+            for (const tabId of tabIds) protectTab(tabId);
+        } else {
+            // Nothing changes until the user picks one of the follow-up actions
+            await showCloseChoice(tabIds);
+            return;
+        }
+    } else if (buttonIndex === 0) {
+        for (const tabId of tabIds) snoozeTab(tabId, SNOOZE_SECONDS);
+    } else {
+        for (const tabId of tabIds) {
+            try {
+                await closeTabWithHistory(tabId, 'manual_quit');
+            } catch (error) {
+                console.error('Error closing warned tab:', error);
+            }
+        }
+    }
+
+    await saveTabStates(tabStates);
+    notifyStateUpdated();
+}
+
+// Clicking the warning itself only shows the tab - closing needs the explicit button
+async function onNotificationClicked(notificationId) {
+    const tabIds = getWarningTabIds(notificationId);
+    if (tabIds.length === 0) return;
+
+    chrome.notifications.clear(notificationId);
+
+    const [tab] = await getOpenTabs(tabIds);
+    if (!tab) return;
+    try {
+        await chrome.tabs.update(tab.id, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+    } catch (error) {
+        console.error('Error focusing warned tab:', error);
+    }
+}
+
+// ============================================================================
+// Timed Pause
+// ============================================================================
+
+// Pause all auto-closing until the given time (extending a pause keeps its start)
+async function pauseAutoClose(until) {
+    pause = { since: pause?.since ?? Date.now(), until };
+    await chrome.storage.local.set({ pause });
+    chrome.alarms.create(PAUSE_ALARM, { when: until });
+    await updateActionIcon();
+    notifyStateUpdated();
+}
+
+// End the pause - countdowns continue from where they stopped
+async function resumeFromPause() {
+    if (pause === null) return;
+
+    // Same while still idle: resuming from idle covers the time from idleSince
+    freezeCountdownsSince(pause.since, idleSince ?? Date.now());
+    pause = null;
+    await chrome.storage.local.remove('pause');
+    await chrome.alarms.clear(PAUSE_ALARM);
+    await saveTabStates(tabStates);
+    await updateActionIcon();
+    notifyStateUpdated();
+}
+
+// Handle the end of a timed pause
+async function onPauseAlarm(alarm) {
+    if (alarm.name !== PAUSE_ALARM) return;
+
+    await ready;
+    await resumeFromPause();
+}
+
+// Show a dimmed toolbar icon while paused (the title shows the resume time)
+async function updateActionIcon() {
+    const sizes = [16, 32];
+    try {
+        if (pause === null) {
+            await chrome.action.setIcon({ path: Object.fromEntries(sizes.map(s => [s, `icons/icon${s}.png`])) });
+        } else {
+            const imageData = {};
+            for (const size of sizes) {
+                const response = await fetch(chrome.runtime.getURL(`icons/icon${size}.png`));
+                const bitmap = await createImageBitmap(await response.blob());
+                const ctx = new OffscreenCanvas(size, size).getContext('2d');
+                ctx.filter = 'grayscale(1)';
+                ctx.globalAlpha = 0.5;
+                ctx.drawImage(bitmap, 0, 0, size, size);
+                imageData[size] = ctx.getImageData(0, 0, size, size);
+            }
+            await chrome.action.setIcon({ imageData });
+        }
+    } catch (error) {
+        console.error('Error updating action icon:', error);
+    }
+
+    await updateBadge();
+}
+
+// ============================================================================
+// Action Badge
+// ============================================================================
+
+// Tabs closing within the next few seconds, soonest first: [{ tab, closesIn }]
+// Awake tabs that will sleep first also count the sleep timer
+async function getUpcomingCloses(withinSeconds = Infinity) {
+    const now = Date.now();
+    const context = { focusedWindowId, paused: pause !== null, idle: idleSince !== null, protectedScopes };
+    const upcoming = [];
+
+    for (const tab of await chrome.tabs.query({})) {
+        const state = tabStates[tab.id];
+        if (getCloseStatus(tab, state, settings, context)?.status !== 'counting') continue;
+
+        let closesIn = getRemainingSeconds(state, now);
+        if (settings.sleepBeforeClose && state.stage !== 'sleeping') {
+            closesIn += await getSleepTimeoutForUrl(state.url, settings);
+        }
+        if (closesIn <= withinSeconds) upcoming.push({ tab, closesIn });
+    }
+
+    return upcoming.sort((a, b) => a.closesIn - b.closesIn);
+}
+
+// Badge color on the popup's high / medium / low countdown scale
+function getBadgeColor(seconds) {
+    if (seconds > 180) return BADGE_COLORS.high;
+    if (seconds > 60) return BADGE_COLORS.medium;
+    return BADGE_COLORS.low;
+}
+
+// Short badge text for a duration: 45s, 12m, 3h
+function formatBadgeTime(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    return `${Math.floor(seconds / 3600)}h`;
+}
+
+// Tooltip countdown: 4:05 or 1:02:05
+function formatTitleTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    const secs = String(seconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(mins).padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
+}
+
+// Keep the badge (closing-soon count or time to the next close) and the
+// tooltip (pause, next tabs due to close) up to date
+async function updateBadge() {
+    try {
+        const titleLines = [chrome.runtime.getManifest().name];
+        if (pause !== null) {
+            const resumeAt = new Date(pause.until).toLocaleString([], {
+                weekday: 'short', hour: '2-digit', minute: '2-digit'
+            });
+            titleLines[0] += ` - paused until ${resumeAt}`;
+        }
+
+        let badgeText = '';
+        if (settings.badgeMode === 'count' || settings.badgeMode === 'next') {
+            const upcoming = await getUpcomingCloses();
+            const soon = upcoming.filter(u => u.closesIn <= BADGE_SOON_SECONDS);
+
+            if (settings.badgeMode === 'count' && soon.length > 0) {
+                badgeText = String(soon.length);
+            } else if (settings.badgeMode === 'next' && upcoming.length > 0) {
+                badgeText = formatBadgeTime(upcoming[0].closesIn);
+            }
+            if (upcoming.length > 0) {
+                await chrome.action.setBadgeBackgroundColor({ color: getBadgeColor(upcoming[0].closesIn) });
+                titleLines.push(settings.dryRun ? 'Next to close (dry run):' : 'Next to close:');
+                for (const { tab, closesIn } of upcoming.slice(0, BADGE_TITLE_TABS)) {
+                    const title = (tab.title || tab.url).slice(0, 40);
+                    titleLines.push(`${formatTitleTime(closesIn)}  ${title}`);
+                }
+            }
+        }
+
+        await chrome.action.setBadgeText({ text: badgeText });
+        await chrome.action.setTitle({ title: titleLines.join('\n') });
+    } catch (error) {
+        console.error('Error updating action badge:', error);
+    }
+}
+
+// ============================================================================
+// Dry Run
+// ============================================================================
+
+// Record that auto-close would have closed a tab, with the rule behind it,
+// then restart its countdown as if it had been closed and opened again
+async function simulateClose(tab, closeReason) {
+    const state = tabStates[tab.id];
+
+    let rule;
+    if (closeReason === 'tab_limit') {
+        rule = { source: 'limit', maxTabs: settings.maxTabs, maxTabsPerWindow: settings.maxTabsPerWindow };
+    } else {
+        const resolved = resolveTimeout(tab.url, settings, await getGroupTitle(tab.groupId));
+        rule = {
+            source: resolved.source,
+            rule: resolved.rule,
+            profile: resolved.profile?.name ?? null,
+            timeout: resolved.timeout,
+            afterSleep: state?.stage === 'sleeping'
+        };
+    }
+
+    await addSimulatedClose({
+        url: tab.url || state?.url || '',
+        title: tab.title || 'Untitled',
+        favicon: tab.favIconUrl || '',
+        closeReason,
+        windowId: tab.windowId,
+        groupId: tab.groupId !== -1 ? tab.groupId : null,
+        rule
+    });
+
+    delete tabStates[tab.id];
+    await updateTabState(tab, false);
+}
+
+// ============================================================================
+// Explain
+// ============================================================================
+
+// Describe which rule sets a tab's (or URL's) timeout and what currently keeps it open.
+// `draftRule` lets the per-site dialog preview a rule before it is saved.
+async function explainTab({ tabId, url, draftRule }) {
+    const tab = tabId !== undefined ? await chrome.tabs.get(tabId) : null;
+    const targetUrl = tab ? tab.url : url;
+    const groupTitle = tab ? await getGroupTitle(tab.groupId) : null;
+
+    let effectiveSettings = settings;
+    if (draftRule) {
+        // Same replacement the dialog does on save
+        const draftType = draftRule.matchType || 'host';
+        const otherRules = (settings.perSiteTimeouts || []).filter(
+            r => r.pattern !== draftRule.pattern || (r.matchType || 'host') !== draftType
+        );
+        effectiveSettings = { ...settings, perSiteTimeouts: [...otherRules, draftRule] };
+    }
+
+    const resolved = resolveTimeout(targetUrl, effectiveSettings, groupTitle);
+    const state = tab ? tabStates[tab.id] : null;
+
+    const exemptions = [];
+    if (!getEffectiveSettings(settings).enabled) {
+        exemptions.push({ type: 'disabled', label: settings.enabled ? 'Schedule has auto-close off' : 'Extension is disabled' });
+    }
+    if (pause) exemptions.push({ type: 'paused', label: 'Auto-close is paused' });
+    if (idleSince !== null) exemptions.push({ type: 'idle', label: 'Computer is idle or locked' });
+    if (isSpecialUrl(targetUrl) && !settings.autoCloseSpecial) {
+        exemptions.push({ type: 'special', label: 'Special page (Auto-close Special is off)' });
+    }
+    if (resolved.timeout === null) exemptions.push({ type: 'never', label: 'Rule never closes it' });
+    if (tab) {
+        if (state?.protected) {
+            const label = state.protectedUntil
+                ? `Protected until ${new Date(state.protectedUntil).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}`
+                : 'Protected';
+            exemptions.push({ type: 'protected', label });
+        }
+        const scope = getProtectedScope(tab, protectedScopes);
+        if (scope) exemptions.push({ type: scope, label: scope === 'group' ? 'Group is protected' : 'Window is protected' });
+        if (isPlaceholderNewTab(tab)) exemptions.push({ type: 'newtab', label: "Window's new tab page" });
+        if (tab.pinned && !settings.autoClosePinned) exemptions.push({ type: 'pinned', label: 'Pinned' });
+        if (state?.hasMedia && settings.pauseOnMedia) exemptions.push({ type: 'media', label: 'Playing media' });
+        if (isFocusedActiveTab(tab, settings, focusedWindowId)) {
+            exemptions.push({
+                type: 'focused-window',
+                label: settings.focusedWindowOnly ? 'Active tab in the focused window' : 'Active tab in its window'
+            });
+        }
+    }
+
+    return {
+        url: targetUrl,
+        groupTitle,
+        timeout: resolved.timeout,
+        source: resolved.source,
+        rule: resolved.rule,
+        isDraftRule: !!draftRule && resolved.rule === draftRule,
+        draftMatches: !!draftRule && draftRuleMatches(targetUrl, draftRule),
+        profile: resolved.profile?.name ?? null,
+        stage: state?.stage ?? null,
+        snoozeSeconds: state?.snoozeSeconds || 0,
+        exemptions
+    };
+}
+
+// Whether a draft rule matches a URL on its own, ignoring every other rule
+function draftRuleMatches(url, draftRule) {
+    const alone = { ...settings, groupTimeouts: [], scheduleProfiles: [], perSiteTimeouts: [draftRule] };
+    return resolveTimeout(url, alone).rule === draftRule;
+}
+
+// ============================================================================
+// Keyboard Commands
+// ============================================================================
+
+// Briefly show a keyboard command's result on the badge, then restore the badge
+async function flashBadge(text, color) {
+    try {
+        await chrome.action.setBadgeBackgroundColor({ color });
+        await chrome.action.setBadgeText({ text });
+        setTimeout(() => updateBadge(), COMMAND_FEEDBACK_MS);
+    } catch (error) {
+        console.error('Error showing command feedback:', error);
+    }
+}
+
+// Handle keyboard shortcuts (see "commands" in manifest.json)
+async function onCommand(command, tab) {
+    // Opening the side panel must happen before any await to keep the user gesture
+    if (command === 'open-side-panel') {
+        if (tab) {
+            chrome.sidePanel.open({ windowId: tab.windowId }).catch(error => {
+                console.error('Error opening side panel:', error);
+            });
+        }
+        return;
+    }
+
+    await ready;
+    tab = tab ?? await getActiveTab();
+    if (!tab) return;
+
+    try {
+        switch (command) {
+            case 'toggle-protect': {
+                const wasProtected = tabStates[tab.id]?.protected;
+                const changed = wasProtected ? await unprotectTab(tab.id) : protectTab(tab.id);
+                if (!changed) {
+                    await flashBadge('!', COMMAND_FEEDBACK_COLORS.failed); // Untracked (e.g. special) tab
+                    return;
+                }
+                await saveTabStates(tabStates);
+                notifyStateUpdated();
+                await flashBadge(wasProtected ? 'OFF' : 'ON', wasProtected
+                    ? COMMAND_FEEDBACK_COLORS.off
+                    : COMMAND_FEEDBACK_COLORS.done);
+                break;
+            }
+
+            case 'snooze-tab':
+                if (!snoozeTab(tab.id, SNOOZE_SECONDS)) {
+                    await flashBadge('!', COMMAND_FEEDBACK_COLORS.failed);
+                    return;
+                }
+                await saveTabStates(tabStates);
+                notifyStateUpdated();
+                await flashBadge(`+${SNOOZE_SECONDS / 60}m`, COMMAND_FEEDBACK_COLORS.done);
+                break;
+
+            case 'close-tab':
+                await closeTabWithHistory(tab.id, 'manual_quit');
+                break;
+
+            case 'toggle-pause':
+                if (pause) {
+                    await resumeFromPause();
+                    await flashBadge('ON', COMMAND_FEEDBACK_COLORS.done);
+                } else {
+                    await pauseAutoClose(Date.now() + COMMAND_PAUSE_SECONDS * 1000);
+                    await flashBadge(`${COMMAND_PAUSE_SECONDS / 3600}h`, COMMAND_FEEDBACK_COLORS.off);
+                }
+                break;
+        }
+    } catch (error) {
+        console.error('Error handling command', command, error);
+        await flashBadge('!', COMMAND_FEEDBACK_COLORS.failed);
+    }
+}
+
+// ============================================================================
+// Context Menus
+// ============================================================================
+
+// Create the page and toolbar icon right-click menus (they persist, so only on install/update)
+function setupContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+        const contexts = ['page', 'action'];
+        const create = (item) => chrome.contextMenus.create({ contexts, ...item });
+
+        create({ id: 'protect-tab', title: 'Protect this tab', type: 'checkbox' });
+        create({ id: 'protect-site', title: 'Always protect this site', type: 'checkbox' });
+        create({ id: 'site-timeout', title: 'Set timeout for this site' });
+        for (const minutes of MENU_SITE_TIMEOUTS) {
+            create({
+                id: `site-timeout:${minutes}`, parentId: 'site-timeout', type: 'checkbox',
+                title: minutes < 60 ? `${minutes} min` : `${minutes / 60} hour${minutes > 60 ? 's' : ''}`
+            });
+        }
+        create({ id: 'site-timeout:default', parentId: 'site-timeout', title: 'Use the global countdown' });
+        create({ id: 'snooze-tab', title: 'Snooze this tab' });
+        for (const [minutes, label] of MENU_SNOOZE_OPTIONS) {
+            create({ id: `snooze-tab:${minutes}`, parentId: 'snooze-tab', title: label });
+        }
+        create({ id: 'close-tab', title: 'Close with QuIt' });
+
+        updateContextMenus();
+    });
+}
+
+// Host a site-level menu entry applies to (null for pages without one, e.g. chrome://)
+function getMenuHost(tab) {
+    if (!tab?.url || isSpecialUrl(tab.url)) return null;
+    try {
+        return new URL(tab.url).hostname || null;
+    } catch {
+        return null;
+    }
+}
+
+// Reflect the current tab's protection and site rule in the menu checkmarks
+async function updateContextMenus(tab = null) {
+    try {
+        tab = tab ?? await getActiveTab();
+        const state = tab ? tabStates[tab.id] : null;
+        const host = getMenuHost(tab);
+        const siteRule = host
+            ? (settings.perSiteTimeouts || []).find(r => r.pattern === host && (r.matchType || 'host') === 'host')
+            : null;
+        const siteProtected = !!host &&
+            (settings.protectedSites || []).some(entry => entry.pattern === host && entry.matchType === 'host');
+
+        await chrome.contextMenus.update('protect-tab', { checked: !!state?.protected, enabled: !!state });
+        await chrome.contextMenus.update('protect-site', { checked: siteProtected, enabled: !!host });
+        await chrome.contextMenus.update('site-timeout', { enabled: !!host });
+        for (const minutes of MENU_SITE_TIMEOUTS) {
+            await chrome.contextMenus.update(`site-timeout:${minutes}`, { checked: siteRule?.timeout === minutes * 60 });
+        }
+        await chrome.contextMenus.update('snooze-tab', { enabled: !!state });
+    } catch {
+        // Menus not created yet (they are set up on install)
+    }
+}
+
+// Handle right-click menu choices on a page or the toolbar icon
+async function onContextMenuClicked(info, tab) {
+    await ready;
+    if (!tab) return;
+
+    const [menuId, option] = String(info.menuItemId).split(':');
+    const host = getMenuHost(tab);
+
+    try {
+        switch (menuId) {
+            case 'protect-tab':
+                if (info.checked) protectTab(tab.id);
+                else await unprotectTab(tab.id);
+                await saveTabStates(tabStates);
+                notifyStateUpdated();
+                break;
+
+            case 'protect-site':
+                if (!host) break;
+                if (info.checked) await addProtectedSite(host);
+                else await removeProtectedSite(host);
+                await reloadSettings();
+                notifyStateUpdated();
+                break;
+
+            case 'site-timeout':
+                if (!host) break;
+                if (option === 'default') await removePerSiteTimeout(host);
+                else await addPerSiteTimeout(host, parseInt(option) * 60);
+                await reloadSettings();
+                notifyStateUpdated();
+                break;
+
+            case 'snooze-tab':
+                if (snoozeTab(tab.id, parseInt(option) * 60)) {
+                    await saveTabStates(tabStates);
+                    notifyStateUpdated();
+                }
+                break;
+
+            case 'close-tab':
+                await closeTabWithHistory(tab.id, 'manual_quit');
+                break;
+        }
+    } catch (error) {
+        console.error('Error handling context menu click:', error);
+    }
+
+    // Checkbox clicks flip themselves - put them back in line with the actual state
+    await updateContextMenus();
+}
+
+// ============================================================================
+// Omnibox
+// ============================================================================
+
+// Escape text for omnibox suggestion descriptions (XML)
+function escapeOmniboxXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Short "how long ago" for history suggestions: 5m, 3h, 2d
+function formatAgo(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h`;
+    return `${Math.floor(minutes / (24 * 60))}d`;
+}
+
+// Open tabs and closed-history entries whose title or URL contains every word of the query
+// Returns { tabs, history } - history (newest first) skips URLs that are already open, one entry per URL
+async function searchTabsAndHistory(text) {
+    const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = (item) => {
+        const haystack = `${item.title || ''} ${item.url || ''}`.toLowerCase();
+        return words.every(word => haystack.includes(word));
+    };
+
+    const openTabs = await chrome.tabs.query({});
+    const tabs = openTabs.filter(matches);
+
+    const seenUrls = new Set(openTabs.map(tab => tab.url));
+    const history = [];
+    for (const entry of await getHistory()) {
+        if (!entry.url || seenUrls.has(entry.url) || !matches(entry)) continue;
+        seenUrls.add(entry.url);
+        history.push(entry);
+    }
+
+    return { tabs, history };
+}
+
+// Suggest matching open tabs and closed tabs as the user types "q <term>"
+async function onOmniboxInputChanged(text, suggest) {
+    if (!text.trim()) return;
+
+    const { tabs, history } = await searchTabsAndHistory(text);
+    const suggestions = [
+        ...tabs.map(tab => ({
+            content: tab.url,
+            description: `${escapeOmniboxXml(tab.title || 'Untitled')} <dim>- open tab</dim> <url>${escapeOmniboxXml(tab.url)}</url>`
+        })),
+        ...history.map(entry => ({
+            content: entry.url,
+            description: `${escapeOmniboxXml(entry.title || 'Untitled')} <dim>- closed ${formatAgo(entry.timestamp)} ago</dim> <url>${escapeOmniboxXml(entry.url)}</url>`
+        }))
+    ];
+    suggest(suggestions.slice(0, OMNIBOX_MAX_SUGGESTIONS));
+}
+
+// Focus the chosen open tab, or reopen the chosen closed tab
+// (pressing Enter on plain text picks the best match)
+async function onOmniboxInputEntered(text) {
+    try {
+        await ready;
+        const openTabs = await chrome.tabs.query({});
+        let tab = openTabs.find(t => t.url === text);
+        let entry = null;
+
+        if (!tab) {
+            entry = (await getHistory()).find(e => e.url === text);
+            if (!entry) {
+                const results = await searchTabsAndHistory(text);
+                tab = results.tabs[0];
+                entry = results.history[0] ?? null;
+            }
+        }
+
+        if (tab) {
+            await chrome.tabs.update(tab.id, { active: true });
+            await chrome.windows.update(tab.windowId, { focused: true });
+        } else if (entry) {
+            // Same restore as the History list: back where it was, with its group and protection
+            await restoreClosedTab(entry);
+        }
+    } catch (error) {
+        console.error('Error opening omnibox suggestion:', error);
+    }
+}
+
+// Get the currently active tab
+async function getActiveTab() {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    return tabs[0] || null;
+}
+
+// Handle messages from popup/options
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    handleMessage(message, sender, sendResponse);
+    return true; // Keep channel open for async response
+});
+
+async function handleMessage(message, sender, sendResponse) {
+    try {
+        // Messages can wake the worker before its state is loaded
+        await ready;
+
+        switch (message.type) {
+            case 'getTabStates':
+                sendResponse({ success: true, data: tabStates });
+                break;
+
+            case 'getSettings':
+                sendResponse({ success: true, data: settings });
+                break;
+
+            case 'protectTab': {
+                // Protect indefinitely, or for `duration` seconds / until the `until` timestamp
+                const until = message.until || (message.duration ? Date.now() + message.duration * 1000 : null);
+                if (until !== null && !(until > Date.now())) {
+                    sendResponse({ success: false, error: 'Invalid protection time' });
+                } else if (protectTab(message.tabId, until)) {
+                    await saveTabStates(tabStates);
+                    sendResponse({ success: true });
+                } else {
+                    sendResponse({ success: false, error: 'Tab not found' });
+                }
+                break;
+            }
+
+            case 'unprotectTab':
+                if (await unprotectTab(message.tabId)) {
+                    await saveTabStates(tabStates);
                     sendResponse({ success: true });
                 } else {
                     sendResponse({ success: false, error: 'Tab not found' });
                 }
                 break;
 
+            case 'snoozeTab': {
+                // Extend by `duration` seconds, or until the `until` timestamp
+                const state = tabStates[message.tabId];
+                const now = Date.now();
+                if (!state) {
+                    sendResponse({ success: false, error: 'Tab not found' });
+                } else if (message.until ? !(message.until > now) : !(message.duration > 0)) {
+                    sendResponse({ success: false, error: 'Invalid snooze time' });
+                } else {
+                    // For `until`, only add what the running countdown is short of - a tab
+                    // that already lasts past it (or never closes) is left alone
+                    const seconds = !message.until
+                        ? message.duration
+                        : state.countdown === null
+                            ? 0
+                            : Math.round((message.until - now) / 1000) - getRemainingSeconds(state, now);
+                    if (seconds > 0) {
+                        snoozeTab(message.tabId, seconds, message.until || null);
+                        await saveTabStates(tabStates);
+                    }
+                    sendResponse({ success: true });
+                }
+                break;
+            }
+
             case 'closeTabWithHistory':
                 // Close tab and record to history (manual QuIt close)
                 if (message.tabId) {
                     try {
-                        const tab = await chrome.tabs.get(message.tabId);
-
-                        // Mark tab as explicitly closed to prevent double logging
-                        explicitlyClosedTabs.add(message.tabId);
-
-                        await addHistoryEntry({
-                            url: tab.url,
-                            title: tab.title || 'Untitled',
-                            favicon: tab.favIconUrl || '',
-                            closeReason: message.isBatch ? 'batch_close' : 'manual_quit',
-                            windowId: tab.windowId,
-                            groupId: tab.groupId !== -1 ? tab.groupId : null
-                        });
-                        await chrome.tabs.remove(message.tabId);
+                        await closeTabWithHistory(message.tabId, message.isBatch ? 'batch_close' : 'manual_quit');
                         sendResponse({ success: true });
                     } catch (error) {
-                        // Clean up if error occurs
-                        explicitlyClosedTabs.delete(message.tabId);
                         sendResponse({ success: false, error: error.message });
                     }
                 } else {
@@ -578,16 +2134,85 @@ async function handleMessage(message, sender, sendResponse) {
                 }
                 break;
 
-            case 'settingsUpdated':
-                settings = await getSettings();
-                // Re-evaluate all tabs with new settings
-                const allTabs = await chrome.tabs.query({});
-                for (const tab of allTabs) {
-                    // Check if this tab is currently active in its window
-                    const isActive = activeTabsByWindow[tab.windowId] === tab.id;
-                    await updateTabState(tab, isActive);
+            case 'getRestorableEntries':
+                // IDs of History entries that can come back with their navigation history
+                try {
+                    const matches = await matchClosedSessions(message.entries);
+                    sendResponse({ success: true, data: [...matches.keys()] });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
                 }
-                await saveTabStates(tabStates);
+                break;
+
+            case 'recordCloseBatch':
+                await recordCloseBatch(message.tabIds);
+                sendResponse({ success: true });
+                break;
+
+            case 'undoCloseBatch':
+                try {
+                    sendResponse({ success: true, data: await undoCloseBatch() });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'restoreClosedTab':
+                try {
+                    await restoreClosedTab(message.entry);
+                    sendResponse({ success: true });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'restoreSession':
+                try {
+                    await restoreSession(message.session);
+                    sendResponse({ success: true });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'explainTab':
+                sendResponse({ success: true, data: await explainTab(message) });
+                break;
+
+            case 'getProtectedScopes':
+                sendResponse({ success: true, data: protectedScopes });
+                break;
+
+            case 'setScopeProtected':
+                if (message.scope !== 'group' && message.scope !== 'window') {
+                    sendResponse({ success: false, error: 'Invalid scope' });
+                    break;
+                }
+                await setScopeProtected(message.scope, message.id, message.protected);
+                notifyStateUpdated();
+                sendResponse({ success: true, data: protectedScopes });
+                break;
+
+            case 'getPauseState':
+                sendResponse({ success: true, data: pause });
+                break;
+
+            case 'pauseAutoClose':
+                if (!(message.until > Date.now())) {
+                    sendResponse({ success: false, error: 'Invalid pause end' });
+                    break;
+                }
+                await pauseAutoClose(message.until);
+                sendResponse({ success: true, data: pause });
+                break;
+
+            case 'resumeAutoClose':
+                await resumeFromPause();
+                sendResponse({ success: true });
+                break;
+
+            case 'settingsUpdated':
+                await reloadSettings();
                 sendResponse({ success: true });
                 break;
 
@@ -605,12 +2230,33 @@ chrome.tabs.onActivated.addListener(onTabActivated);
 chrome.tabs.onUpdated.addListener(onTabUpdated);
 chrome.tabs.onCreated.addListener(onTabCreated);
 chrome.tabs.onRemoved.addListener(onTabRemoved);
+chrome.tabs.onReplaced.addListener(onTabReplaced);
+chrome.tabs.onAttached.addListener(onTabAttached);
+chrome.tabs.onDetached.addListener(onTabDetached);
+chrome.tabs.onMoved.addListener(onTabMoved);
+chrome.tabGroups.onUpdated.addListener(onTabGroupUpdated);
+chrome.tabGroups.onRemoved.addListener(group => onScopeRemoved('groups', group.id));
 chrome.windows.onFocusChanged.addListener(onWindowFocusChanged);
+chrome.windows.onRemoved.addListener(windowId => onScopeRemoved('windows', windowId));
 chrome.alarms.onAlarm.addListener(onAlarm);
+chrome.alarms.onAlarm.addListener(onPauseAlarm);
+chrome.idle.onStateChanged.addListener(onIdleStateChanged);
+chrome.notifications.onButtonClicked.addListener(onNotificationButtonClicked);
+chrome.notifications.onClicked.addListener(onNotificationClicked);
+chrome.commands.onCommand.addListener(onCommand);
+chrome.contextMenus.onClicked.addListener(onContextMenuClicked);
+chrome.omnibox.onInputChanged.addListener(onOmniboxInputChanged);
+chrome.omnibox.onInputEntered.addListener(onOmniboxInputEntered);
+chrome.omnibox.setDefaultSuggestion({ description: 'Search open and closed tabs for <match>%s</match>' });
 
 // Initialize on install or startup
-chrome.runtime.onInstalled.addListener(initialize);
-chrome.runtime.onStartup.addListener(initialize);
+chrome.runtime.onInstalled.addListener(() => {
+    ready = initialize();
+    setupContextMenus();
+});
+chrome.runtime.onStartup.addListener(() => {
+    ready = initialize();
+});
 
 // Initialize immediately
-initialize();
+ready = initialize();
@@ -7,9 +7,11 @@ import {
     allTabs, tabGroups, tabStates, settings, selectedTabIds,
     setSelectedTabIds, clearSelectedTabIds
 } from './state.js';
-import { escapeHtml, isSpecialTab } from './utils.js';
+import { escapeHtml, isSpecialTab, parseClockTime } from './utils.js';
 import { loadAllTabs, renderTabsList } from './tabs.js';
 import { refreshTabStates } from './currentTab.js';
+import { saveTabsAsSession } from './sessions.js';
+import { closeWithUndo } from './undo.js';
 
 // ============================================================================
 // Batch Actions Bar
@@ -82,6 +84,15 @@ export async function ungroupSelected() {
     }
 }
 
+/**
+ * Batch action: Save selected tabs as a named session
+ */
+export async function saveSelectedAsSession() {
+    const tabs = allTabs.filter(t => selectedTabIds.has(t.id));
+    const saved = await saveTabsAsSession(tabs, `${tabs.length} tabs`);
+    if (saved) clearSelection();
+}
+
 // ============================================================================
 // Selection Management
 // ============================================================================
@@ -133,13 +144,15 @@ export async function closeSelectedTabs() {
 
     try {
         // Close each tab with history tracking
-        for (const tabId of tabIds) {
-            await chrome.runtime.sendMessage({
-                type: 'closeTabWithHistory',
-                tabId: tabId,
-                isBatch: true
-            });
-        }
+        await closeWithUndo(tabIds, async () => {
+            for (const tabId of tabIds) {
+                await chrome.runtime.sendMessage({
+                    type: 'closeTabWithHistory',
+                    tabId: tabId,
+                    isBatch: true
+                });
+            }
+        });
         clearSelection();
         await loadAllTabs();
     } catch (err) {
@@ -173,19 +186,43 @@ export async function focusTab(tabId, windowId) {
 // Batch Protection
 // ============================================================================
 
+/**
+ * Protect tabs indefinitely or for a while
+ * @param {number[]} tabIds - IDs of tabs to protect
+ * @param {string} [value] - A PROTECT_FOR_OPTIONS value (seconds or 'endOfDay'); omit to protect indefinitely
+ */
+export async function protectTabs(tabIds, value) {
+    const message = { type: 'protectTab' };
+    if (value === 'endOfDay') {
+        const midnight = new Date();
+        midnight.setHours(24, 0, 0, 0);
+        message.until = midnight.getTime();
+    } else if (value) {
+        message.duration = parseInt(value);
+    }
+
+    for (const tabId of tabIds) {
+        await chrome.runtime.sendMessage({ ...message, tabId });
+    }
+}
+
 /**
  * Batch protect/unprotect selected tabs
  * @param {boolean} protect - True to protect, false to unprotect
+ * @param {string} [value] - When protecting, a PROTECT_FOR_OPTIONS value; omit to protect indefinitely
  */
-export async function batchProtect(protect) {
+export async function batchProtect(protect, value) {
     const tabIds = Array.from(selectedTabIds);
 
     if (tabIds.length === 0) return;
 
     // Send protect/unprotect message for each tab
-    for (const tabId of tabIds) {
-        const messageType = protect ? 'protectTab' : 'unprotectTab';
-        await chrome.runtime.sendMessage({ type: messageType, tabId });
+    if (protect) {
+        await protectTabs(tabIds, value);
+    } else {
+        for (const tabId of tabIds) {
+            await chrome.runtime.sendMessage({ type: 'unprotectTab', tabId });
+        }
     }
 
     // Wait for background to reinitialize states (especially important for unprotect)
@@ -197,6 +234,52 @@ export async function batchProtect(protect) {
     clearSelection();
 }
 
+// ============================================================================
+// Snooze
+// ============================================================================
+
+/**
+ * Snooze tabs - extend their countdowns by a duration or until a clock time
+ * @param {number[]} tabIds - IDs of tabs to snooze
+ * @param {string} value - Seconds to add, or 'until' to prompt for a clock time
+ * @returns {Promise<boolean>} True if the tabs were snoozed
+ */
+export async function snoozeTabs(tabIds, value) {
+    if (tabIds.length === 0) return false;
+
+    const message = { type: 'snoozeTab' };
+    if (value === 'until') {
+        const input = prompt('Snooze until (HH:MM):');
+        if (input === null) return false;
+        const until = parseClockTime(input);
+        if (!until) {
+            alert('Please enter a time like 17:30');
+            return false;
+        }
+        message.until = until;
+    } else {
+        message.duration = parseInt(value);
+    }
+
+    for (const tabId of tabIds) {
+        await chrome.runtime.sendMessage({ ...message, tabId });
+    }
+
+    await refreshTabStates();
+    renderTabsList();
+    return true;
+}
+
+/**
+ * Batch snooze selected tabs
+ * @param {string} value - Seconds to add, or 'until' to prompt for a clock time
+ */
+export async function snoozeSelectedTabs(value) {
+    if (await snoozeTabs(Array.from(selectedTabIds), value)) {
+        clearSelection();
+    }
+}
+
 // ============================================================================
 // Merge Duplicates
 // ============================================================================
@@ -4,15 +4,20 @@
  */
 
 import {
-    allTabs, tabGroups, contextMenuState,
-    setContextMenuState
+    allTabs, tabGroups, tabStates, contextMenuState, settings, protectedScopes,
+    setContextMenuState, setProtectedScopes
 } from './state.js';
-import { escapeHtml } from './utils.js';
+import { escapeHtml, SNOOZE_OPTIONS, PROTECT_FOR_OPTIONS } from './utils.js';
 import { loadAllTabs } from './tabs.js';
 import {
     moveTabToGroup, removeTabFromGroup,
     moveAllTabsInGroup, ungroupAllInGroup, moveTabToWindow
 } from './tabGroups.js';
+import { snoozeTabs, protectTabs } from './batchActions.js';
+import { refreshTabStates } from './currentTab.js';
+import { saveGroupAsSession, saveWindowAsSession } from './sessions.js';
+import { closeWithUndo } from './undo.js';
+import { closeWindowTabs } from '../../utils/windows.js';
 
 // ============================================================================
 // Context Menu Display
@@ -105,6 +110,18 @@ export function buildTabContextMenu(tab) {
             </div>
         `).join('');
 
+    const protectOptions = PROTECT_FOR_OPTIONS.map(option => `
+        <div class="context-menu-item" data-action="protectTab" data-protect-for="${option.value}">
+            ${option.label}
+        </div>
+    `).join('');
+
+    const snoozeOptions = SNOOZE_OPTIONS.map(option => `
+        <div class="context-menu-item" data-action="snoozeTab" data-snooze="${option.value}">
+            ${option.label}
+        </div>
+    `).join('');
+
     return `
         ${tab.groupId && tab.groupId !== -1 ? `
             <div class="context-menu-item" data-action="removeFromGroup">
@@ -142,6 +159,27 @@ export function buildTabContextMenu(tab) {
         <div class="context-menu-item" data-action="togglePin">
             ${tab.pinned ? 'Unpin Tab' : 'Pin Tab'}
         </div>
+        ${tabStates[tab.id]?.protected ? `
+            <div class="context-menu-item" data-action="unprotectTab">
+                Unprotect Tab
+            </div>
+        ` : `
+            <div class="context-menu-item has-submenu">
+                Protect
+                <div class="context-submenu">
+                    <div class="context-menu-item" data-action="protectTab">
+                        Indefinitely
+                    </div>
+                    ${protectOptions}
+                </div>
+            </div>
+        `}
+        <div class="context-menu-item has-submenu">
+            Snooze
+            <div class="context-submenu">
+                ${snoozeOptions}
+            </div>
+        </div>
     `;
 }
 
@@ -188,6 +226,9 @@ export function buildGroupContextMenu(groupId) {
                 ${colorOptions}
             </div>
         </div>
+        <div class="context-menu-item" data-action="toggleGroupProtect">
+            ${protectedScopes.groups.includes(groupId) ? 'Unprotect Group' : 'Protect Group'}
+        </div>
         <div class="context-menu-divider"></div>
         <div class="context-menu-item" data-action="ungroupAll">
             Ungroup All
@@ -212,6 +253,9 @@ export function buildGroupContextMenu(groupId) {
         <div class="context-menu-item" data-action="moveGroupToNewWindow">
             Move Group to New Window
         </div>
+        <div class="context-menu-item" data-action="saveGroupSession">
+            Save as Session
+        </div>
         <div class="context-menu-divider"></div>
         <div class="context-menu-item" data-action="closeAllInGroup">
             Close All in Group
@@ -242,6 +286,13 @@ export function buildWindowContextMenu(windowId) {
                 </div>
             </div>
         ` : ''}
+        <div class="context-menu-item" data-action="toggleWindowProtect">
+            ${protectedScopes.windows.includes(windowId) ? 'Unprotect Window' : 'Protect Window'}
+        </div>
+        <div class="context-menu-item" data-action="saveWindowSession">
+            Save as Session
+        </div>
+        <div class="context-menu-divider"></div>
         <div class="context-menu-item" data-action="closeAllInWindow">
             Close All Tabs
         </div>
@@ -284,6 +335,17 @@ export function attachContextMenuHandlers() {
                 case 'togglePin':
                     await togglePinTab(contextMenuState.targetTabId);
                     break;
+                case 'snoozeTab':
+                    await snoozeTabs([contextMenuState.targetTabId], item.dataset.snooze);
+                    break;
+                case 'protectTab':
+                    await protectTabs([contextMenuState.targetTabId], item.dataset.protectFor);
+                    await refreshTabStates();
+                    break;
+                case 'unprotectTab':
+                    await chrome.runtime.sendMessage({ type: 'unprotectTab', tabId: contextMenuState.targetTabId });
+                    await refreshTabStates();
+                    break;
 
                 // Group actions
                 case 'ungroupAll':
@@ -307,11 +369,23 @@ export function attachContextMenuHandlers() {
                 case 'moveGroupToNewWindow':
                     await moveGroupToNewWindow(contextMenuState.targetGroupId);
                     break;
+                case 'toggleGroupProtect':
+                    await toggleScopeProtection('group', contextMenuState.targetGroupId);
+                    break;
+                case 'saveGroupSession':
+                    await saveGroupAsSession(contextMenuState.targetGroupId);
+                    break;
 
                 // Window actions
                 case 'moveWindowToWindow':
                     await moveAllTabsToWindow(contextMenuState.targetWindowId, parseInt(item.dataset.targetWindowId));
                     break;
+                case 'toggleWindowProtect':
+                    await toggleScopeProtection('window', contextMenuState.targetWindowId);
+                    break;
+                case 'saveWindowSession':
+                    await saveWindowAsSession(contextMenuState.targetWindowId);
+                    break;
                 case 'closeAllInWindow':
                     await closeAllTabsInWindow(contextMenuState.targetWindowId);
                     break;
@@ -388,6 +462,22 @@ export async function changeGroupColor(groupId, color) {
     await chrome.tabGroups.update(groupId, { color: color });
 }
 
+/**
+ * Toggle protection of a whole group or window (tabs in it now or later never auto-close)
+ * @param {'group'|'window'} scope - What to protect
+ * @param {number} id - Group or window ID
+ */
+export async function toggleScopeProtection(scope, id) {
+    const ids = scope === 'group' ? protectedScopes.groups : protectedScopes.windows;
+    const response = await chrome.runtime.sendMessage({
+        type: 'setScopeProtected',
+        scope,
+        id,
+        protected: !ids.includes(id)
+    });
+    if (response.success) setProtectedScopes(response.data);
+}
+
 /**
  * Close all tabs in a group
  * @param {number} groupId - Group ID to close
@@ -395,9 +485,7 @@ export async function changeGroupColor(groupId, color) {
 export async function closeAllTabsInGroup(groupId) {
     const tabsInGroup = allTabs.filter(t => t.groupId === groupId);
     const tabIds = tabsInGroup.map(t => t.id);
-    if (tabIds.length > 0) {
-        await chrome.tabs.remove(tabIds);
-    }
+    await closeWithUndo(tabIds, () => chrome.tabs.remove(tabIds));
 }
 
 /**
@@ -508,13 +596,13 @@ export async function moveAllTabsToWindow(sourceWindowId, targetWindowId) {
 }
 
 /**
- * Close all tabs in a window
+ * Close all tabs in a window (the window itself follows the last-tab setting)
  * @param {number} windowId - Window ID to close all tabs in
  */
 export async function closeAllTabsInWindow(windowId) {
     const tabsToClose = allTabs.filter(t => t.windowId === windowId);
-    const tabIds = tabsToClose.map(t => t.id);
-    if (tabIds.length > 0) {
-        await chrome.tabs.remove(tabIds);
-    }
+    await closeWithUndo(
+        tabsToClose.map(t => t.id),
+        () => closeWindowTabs(windowId, tabsToClose, settings.lastTabBehavior)
+    );
 }
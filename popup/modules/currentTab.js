@@ -4,10 +4,14 @@
  */
 
 import {
-    currentTab, tabStates, settings, allTabs,
-    setTabStates
+    currentTab, tabStates, settings, allTabs, pauseState,
+    setTabStates, setProtectedScopes
 } from './state.js';
-import { formatTime, isSpecialTab } from './utils.js';
+import {
+    formatTime, formatProtectionLeft, getCountdownNow, updateExtensionStatus, getTabCloseStatus,
+    getCountdownDisplay
+} from './utils.js';
+import { getRemainingSeconds } from '../../utils/eligibility.js';
 
 // ============================================================================
 // Current Tab Display
@@ -73,7 +77,9 @@ export function updateProtectButton() {
         protectIcon.innerHTML = '<use href="#icon-shield-filled"/>';
         protectBtn.classList.add('btn-protected');
         protectBtn.classList.remove('btn-secondary');
-        protectBtn.title = 'Unprotect this tab';
+        protectBtn.title = state.protectedUntil
+            ? `Protected until ${new Date(state.protectedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} - click to unprotect`
+            : 'Unprotect this tab';
     } else {
         // Tab is not protected - show outline shield
         protectIcon.innerHTML = '<use href="#icon-shield"/>';
@@ -81,6 +87,37 @@ export function updateProtectButton() {
         protectBtn.classList.add('btn-secondary');
         protectBtn.title = 'Protect this tab';
     }
+
+    updateProtectSiteButton();
+}
+
+/**
+ * Get the current tab's domain, if it's a web page
+ * @returns {string|null} Hostname, or null for browser and local pages
+ */
+export function getCurrentTabHost() {
+    try {
+        const url = new URL(currentTab.url);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.hostname : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Update the always-protect-site button for the current tab's domain
+ */
+function updateProtectSiteButton() {
+    const protectSiteBtn = document.getElementById('protectSiteBtn');
+    const host = getCurrentTabHost();
+    const isSiteProtected = !!host && (settings.protectedSites || []).some(
+        entry => entry.matchType === 'host' && entry.pattern === host
+    );
+
+    protectSiteBtn.disabled = !host;
+    protectSiteBtn.classList.toggle('btn-protected', isSiteProtected);
+    protectSiteBtn.classList.toggle('btn-secondary', !isSiteProtected);
+    protectSiteBtn.title = isSiteProtected ? `Stop always protecting ${host}` : 'Always protect this site';
 }
 
 // ============================================================================
@@ -97,48 +134,53 @@ export function updateCurrentTabCountdown() {
     const countdownEl = document.getElementById('currentTabCountdown');
     const timeEl = countdownEl.querySelector('.countdown-time');
 
-    // Show dash when extension is disabled
-    if (!settings.enabled) {
-        timeEl.textContent = '—';
-        countdownEl.className = 'countdown';
-        return;
-    }
+    const closeStatus = getTabCloseStatus(currentTab);
 
-    if (!state) {
+    // Show dash when extension is disabled or the tab isn't tracked
+    if (!closeStatus || closeStatus.reason === 'disabled') {
         timeEl.textContent = '—';
         countdownEl.className = 'countdown';
         return;
     }
 
-    if (state.countdown === null) {
+    if (closeStatus.reason === 'never') {
         timeEl.textContent = '∞';
         countdownEl.className = 'countdown excluded';
         return;
     }
 
-    if (state.protected || (state.hasMedia && settings.pauseOnMedia)) {
-        timeEl.innerHTML = '<svg width="14" height="14" class="shield-icon"><use href="#icon-shield-filled"/></svg> ' + formatTime(state.countdown);
+    if (closeStatus.status === 'protected') {
+        // A timed protection shows the time it has left, otherwise the countdown it will resume from
+        let time = state ? ' ' + formatTime(state.countdown) : '';
+        if (closeStatus.reason === 'protected' && state.protectedUntil) {
+            time = ' ' + formatProtectionLeft(state.protectedUntil);
+        }
+        timeEl.innerHTML = '<svg width="14" height="14" class="shield-icon"><use href="#icon-shield-filled"/></svg>' + time;
         countdownEl.className = 'countdown protected';
         return;
     }
 
-    // Calculate remaining time based on background's tracking
-    let time;
-    if (state.lastActiveTime === null) {
+    if (closeStatus.status === 'active') {
         // Tab is active - show active text like protected
         timeEl.textContent = 'Active';
         countdownEl.className = 'countdown high'; // Green/high color for active
         return;
-    } else {
-        // Tab is inactive - calculate elapsed time
-        const inactiveTime = Math.floor((Date.now() - state.lastActiveTime) / 1000);
-        time = Math.max(0, (state.initialCountdown || state.countdown) - inactiveTime);
     }
 
+    if (closeStatus.reason === 'schedule') {
+        timeEl.textContent = 'Off';
+        countdownEl.className = 'countdown excluded';
+        return;
+    }
+
+    // Tab is inactive - remaining time based on background's tracking
+    const time = getRemainingSeconds(state, getCountdownNow());
     timeEl.textContent = formatTime(time);
 
     // Color coding
-    if (time > 180) {
+    if (state.stage === 'sleeping') {
+        countdownEl.className = 'countdown sleeping';
+    } else if (time > 180) {
         countdownEl.className = 'countdown high';
     } else if (time > 60) {
         countdownEl.className = 'countdown medium';
@@ -201,55 +243,22 @@ export function updateCountdowns() {
     // Update current tab countdown
     updateCurrentTabCountdown();
 
+    // Keep the pause time left in the footer ticking
+    if (pauseState) updateExtensionStatus();
+
     // Skip tab list updates when extension is disabled
     if (!settings.enabled) return;
 
     // Update tab list countdowns
     document.querySelectorAll('.tab-item').forEach(item => {
         const tabId = parseInt(item.dataset.tabId);
-        const state = tabStates[tabId];
-        const countdownEl = item.querySelector('.countdown');
-        const timeEl = countdownEl.querySelector('.countdown-time');
         const tab = allTabs.find(t => t.id === tabId);
+        if (!tab) return;
 
-        if (!state || state.countdown === null) return;
-
-        // Check if tab is protected (explicit, media, pinned, or special with setting disabled)
-        const isPinnedProtected = tab && tab.pinned && !settings.autoClosePinned;
-        const isSpecialProtected = tab && isSpecialTab(tab) && !settings.autoCloseSpecial;
-        const isMediaProtected = state.hasMedia && settings.pauseOnMedia;
-
-        if (state.protected || isMediaProtected || isPinnedProtected || isSpecialProtected) {
-            // Protected - show shield icon with label
-            let label = 'Protected';
-            if (isSpecialProtected) label = 'Special';
-            else if (isPinnedProtected) label = 'Pinned';
-            else if (isMediaProtected) label = 'Media';
-            timeEl.innerHTML = '<svg width="14" height="14" class="shield-icon"><use href="#icon-shield-filled"/></svg><span>' + label + '</span>';
-            countdownEl.className = 'countdown protected';
-            return;
-        }
-
-        // Calculate current countdown based on background's tracking
-        let remaining;
-        if (state.lastActiveTime === null) {
-            // Tab is active - show eye icon with Active text (vertical stack)
-            timeEl.innerHTML = '<svg width="14" height="14" class="active-icon"><use href="#icon-eye"/></svg><span>Active</span>';
-            countdownEl.className = 'countdown active';
-            return;
-        } else {
-            // Tab is inactive - calculate elapsed time
-            const inactiveTime = Math.floor((Date.now() - state.lastActiveTime) / 1000);
-            remaining = Math.max(0, (state.initialCountdown || state.countdown) - inactiveTime);
-        }
-
-        timeEl.innerHTML = '<span class="time-value">' + formatTime(remaining) + '</span><span>Left</span>';
-
-        // Update color
-        countdownEl.className = 'countdown';
-        if (remaining > 180) countdownEl.classList.add('high');
-        else if (remaining > 60) countdownEl.classList.add('medium');
-        else countdownEl.classList.add('low');
+        const countdownEl = item.querySelector('.countdown');
+        const { html, className } = getCountdownDisplay(tab);
+        countdownEl.querySelector('.countdown-time').innerHTML = html;
+        countdownEl.className = 'countdown ' + className;
     });
 }
 
@@ -258,11 +267,16 @@ export function updateCountdowns() {
 // ============================================================================
 
 /**
- * Refresh tab states from background
+ * Refresh tab states (and protected groups and windows) from background
  */
 export async function refreshTabStates() {
     const response = await chrome.runtime.sendMessage({ type: 'getTabStates' });
     if (response.success) {
         setTabStates(response.data);
     }
+
+    const scopesResponse = await chrome.runtime.sendMessage({ type: 'getProtectedScopes' });
+    if (scopesResponse.success) {
+        setProtectedScopes(scopesResponse.data);
+    }
 }
@@ -4,10 +4,11 @@
  */
 
 import {
-    allTabs, groupByWindow, sortableInstance, editMode,
+    allTabs, groupByWindow, sortableInstance, editMode, settings,
     setSortableInstance
 } from './state.js';
 import { loadAllTabs } from './tabs.js';
+import { closeWindowTabs } from '../../utils/windows.js';
 
 // ============================================================================
 // Sortable Initialization
@@ -512,7 +513,8 @@ export async function moveTab(draggedTabId, targetTabId, targetWindowId, dropAft
 // ============================================================================
 
 /**
- * Clean up empty windows (with only new tab page)
+ * Clean up empty windows (with only new tab page), following the last-tab setting:
+ * close or minimize the window, or leave the new tab page open
  * @param {number} windowId - Window ID to check
  */
 export async function cleanupEmptyWindow(windowId) {
@@ -520,7 +522,8 @@ export async function cleanupEmptyWindow(windowId) {
         const tabs = await chrome.tabs.query({ windowId });
 
         // If window has only 1 tab and it's a new tab page, close the window
-        if (tabs.length === 1) {
+        // ('newTab' would only swap it for another new tab page)
+        if (tabs.length === 1 && settings.lastTabBehavior !== 'newTab') {
             const tab = tabs[0];
             const isEmptyTab = tab.url === 'chrome://newtab/' ||
                 tab.url === 'about:blank' ||
@@ -528,7 +531,7 @@ export async function cleanupEmptyWindow(windowId) {
                 tab.url === 'brave://newtab/';
 
             if (isEmptyTab) {
-                await chrome.windows.remove(windowId);
+                await closeWindowTabs(windowId, tabs, settings.lastTabBehavior);
             }
         }
     } catch (error) {
@@ -4,23 +4,26 @@
  */
 
 import {
-    currentTab, tabStates, settings, allTabs, quitConfirmMode,
+    currentTab, tabStates, allTabs, settings, quitConfirmMode,
     editMode, searchQuery,
     setEditMode, setSearchQuery, setQuitConfirmMode
 } from './state.js';
 import { loadAllTabs, renderTabsList } from './tabs.js';
 import {
     updateCurrentTab, updateProtectButton, updateCurrentTabCountdown,
-    refreshTabStates
+    refreshTabStates, getCurrentTabHost
 } from './currentTab.js';
 import {
     updateBatchActionsBar, moveSelectedToGroup, moveSelectedToWindow,
     ungroupSelected, closeSelectedTabs, clearSelection, batchProtect,
-    mergeDuplicateTabs
+    mergeDuplicateTabs, snoozeTabs, snoozeSelectedTabs, saveSelectedAsSession
 } from './batchActions.js';
-import { setupSettingsPanel } from './settings.js';
+import { setupSettingsPanel, setSiteProtected } from './settings.js';
 import { setupHistoryPanel } from './history.js';
-import { isSpecialTab } from './utils.js';
+import { setupSessionsPanel } from './sessions.js';
+import { setupPauseMenu } from './pause.js';
+import { closeWithUndo, setupUndoToast } from './undo.js';
+import { isQuitTarget, SNOOZE_OPTIONS, PROTECT_FOR_OPTIONS } from './utils.js';
 
 // ============================================================================
 // Expanded Mode Detection
@@ -101,8 +104,51 @@ export function setupEventListeners() {
         }
     });
 
+    // Always-protect-site button - add or remove the current domain from the list
+    const protectSiteBtn = document.getElementById('protectSiteBtn');
+    protectSiteBtn.addEventListener('click', async () => {
+        const host = getCurrentTabHost();
+        if (!host) return;
+
+        const isSiteProtected = (settings.protectedSites || []).some(
+            entry => entry.matchType === 'host' && entry.pattern === host
+        );
+        await setSiteProtected(host, 'host', !isSiteProtected);
+        updateCurrentTabCountdown();
+    });
+
+    // Snooze button - extend the current tab's countdown
+    const snoozeBtn = document.getElementById('snoozeBtn');
+    const snoozeMenu = document.getElementById('snoozeMenu');
+    const snoozeMenuItems = document.getElementById('snoozeMenuItems');
+
+    SNOOZE_OPTIONS.forEach(option => {
+        const btn = document.createElement('button');
+        btn.className = 'action-menu-item';
+        btn.dataset.snooze = option.value;
+        btn.textContent = option.label;
+        snoozeMenuItems.appendChild(btn);
+    });
+
+    snoozeBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const isVisible = snoozeMenu.style.display !== 'none';
+        snoozeMenu.style.display = isVisible ? 'none' : 'block';
+    });
+
+    snoozeMenu.addEventListener('click', async (e) => {
+        const item = e.target.closest('.action-menu-item');
+        if (!item || !currentTab) return;
+
+        e.stopPropagation();
+        snoozeMenu.style.display = 'none';
+        await snoozeTabs([currentTab.id], item.dataset.snooze);
+        updateCurrentTabCountdown();
+    });
+
     // Quit All button - close all countdown tabs (exclude protected, active, pinned)
     const quitAllBtn = document.getElementById('quitAllBtn');
+    const snoozeMenuContainer = snoozeBtn.closest('.action-menu-container');
 
     quitAllBtn.addEventListener('click', async () => {
         if (!quitConfirmMode) {
@@ -111,6 +157,8 @@ export function setupEventListeners() {
             quitAllBtn.textContent = 'Confirm';
             protectBtn.innerHTML = 'Cancel';
             protectBtn.classList.add('btn-cancel');
+            snoozeMenuContainer.style.display = 'none';
+            protectSiteBtn.style.display = 'none';
             // Swap positions to prevent accidental double-click
             protectBtn.style.order = '2';
             quitAllBtn.style.order = '1';
@@ -126,33 +174,23 @@ export function setupEventListeners() {
             // Skip current active tab
             if (tab.active && tab.windowId === currentTab?.windowId) continue;
 
-            const state = tabStates[tab.id];
-            if (!state) continue;
-
-            // Skip protected tabs
-            if (state.protected) continue;
-
-            // Skip pinned tabs if setting is disabled
-            if (tab.pinned && !settings.autoClosePinned) continue;
-
-            // Skip media playing tabs if setting is enabled
-            if (state.hasMedia && settings.pauseOnMedia) continue;
-
-            // Skip tabs without countdown
-            if (state.countdown === null) continue;
+            // Skip protected, pinned, media, special and never-close tabs
+            if (!isQuitTarget(tab)) continue;
 
             tabsToClose.push(tab.id);
         }
 
         if (tabsToClose.length > 0) {
             // Close each tab with history tracking
-            for (const tabId of tabsToClose) {
-                await chrome.runtime.sendMessage({
-                    type: 'closeTabWithHistory',
-                    tabId: tabId,
-                    isBatch: true  // This will mark as 'batch_close' in history
-                });
-            }
+            await closeWithUndo(tabsToClose, async () => {
+                for (const tabId of tabsToClose) {
+                    await chrome.runtime.sendMessage({
+                        type: 'closeTabWithHistory',
+                        tabId: tabId,
+                        isBatch: true  // This will mark as 'batch_close' in history
+                    });
+                }
+            });
             await loadAllTabs();
         }
 
@@ -175,6 +213,8 @@ export function setupEventListeners() {
         // Restore protected button HTML with icon
         protectBtn.innerHTML = '<svg width="14" height="14" id="protectIcon"><use href="#icon-shield" /></svg> Protected';
         protectBtn.classList.remove('btn-cancel');
+        snoozeMenuContainer.style.display = '';
+        protectSiteBtn.style.display = '';
         // Reset positions
         protectBtn.style.order = '';
         quitAllBtn.style.order = '';
@@ -250,6 +290,33 @@ export function setupEventListeners() {
         } else if (action === 'close') {
             await closeSelectedTabs();
             hideMenus();
+        } else if (action === 'saveSession') {
+            hideMenus();
+            await saveSelectedAsSession();
+        } else if (action === 'protectFor') {
+            // Show timed protection submenu
+            submenuItems.innerHTML = '';
+            PROTECT_FOR_OPTIONS.forEach(option => {
+                const btn = document.createElement('button');
+                btn.className = 'action-menu-item';
+                btn.dataset.protectFor = option.value;
+                btn.textContent = option.label;
+                submenuItems.appendChild(btn);
+            });
+            actionMenu.style.display = 'none';
+            actionSubmenu.style.display = 'block';
+        } else if (action === 'snooze') {
+            // Show snooze duration submenu
+            submenuItems.innerHTML = '';
+            SNOOZE_OPTIONS.forEach(option => {
+                const btn = document.createElement('button');
+                btn.className = 'action-menu-item';
+                btn.dataset.snooze = option.value;
+                btn.textContent = option.label;
+                submenuItems.appendChild(btn);
+            });
+            actionMenu.style.display = 'none';
+            actionSubmenu.style.display = 'block';
         } else if (action === 'group') {
             // Show group submenu
             const { tabGroups, allTabs } = await import('./state.js');
@@ -308,6 +375,12 @@ export function setupEventListeners() {
         } else if (item.dataset.windowId) {
             await moveSelectedToWindow(item.dataset.windowId);
             hideMenus();
+        } else if (item.dataset.snooze) {
+            hideMenus();
+            await snoozeSelectedTabs(item.dataset.snooze);
+        } else if (item.dataset.protectFor) {
+            await batchProtect(true, item.dataset.protectFor);
+            hideMenus();
         }
     });
 
@@ -367,6 +440,7 @@ export function setupEventListeners() {
     function hideMenus() {
         actionMenu.style.display = 'none';
         actionSubmenu.style.display = 'none';
+        snoozeMenu.style.display = 'none';
         hidePreview();
     }
 
@@ -384,7 +458,12 @@ export function setupEventListeners() {
         await mergeDuplicateTabs();
     });
 
-    // History + Settings panels (in-popup)
+    // Header pause menu
+    setupPauseMenu();
+
+    // History, Sessions + Settings panels (in-popup)
     setupHistoryPanel();
+    setupSessionsPanel();
+    setupUndoToast();
     setupSettingsPanel();
 }
@@ -7,9 +7,11 @@ import {
     getHistory,
     clearHistory,
     getSettings,
-    saveHistory
+    saveHistory,
+    getSimulatedCloses,
+    clearSimulatedCloses
 } from '../../utils/storage.js';
-import { escapeHtml } from './utils.js';
+import { escapeHtml, formatTimeout, formatTimeoutSource } from './utils.js';
 
 const ITEMS_PER_PAGE = 20;
 
@@ -17,10 +19,12 @@ const REASON_META = [
     { key: 'timeout', label: 'Timeout', short: 'Timeout', colorVar: 'var(--macos-yellow)' },
     { key: 'manual_quit', label: 'QuIt', short: 'QuIt', colorVar: 'var(--macos-accent)' },
     { key: 'manual_browser', label: 'Browser', short: 'Browser', colorVar: 'var(--group-purple)' },
-    { key: 'batch_close', label: 'Batch', short: 'Batch', colorVar: 'var(--macos-red)' }
+    { key: 'batch_close', label: 'Batch', short: 'Batch', colorVar: 'var(--macos-red)' },
+    { key: 'tab_limit', label: 'Tab limit', short: 'Limit', colorVar: 'var(--group-cyan)' }
 ];
 
 let allHistory = [];
+let simulatedCloses = []; // Dry-run log, shown by the Simulated filter instead of history
 let filteredHistory = [];
 let currentFilter = 'all';
 let searchQuery = '';
@@ -40,6 +44,7 @@ export function setupHistoryPanel() {
 
     historyBtn.addEventListener('click', async () => {
         settingsPanel.style.display = 'none';
+        document.getElementById('sessionsPanel').style.display = 'none';
         currentTabEl.style.display = 'none';
         tabsSection.style.display = 'none';
         historyPanel.style.display = 'flex';
@@ -92,10 +97,19 @@ function bindListListeners() {
     });
 
     document.getElementById('clearHistoryBtn').addEventListener('click', async () => {
-        if (!confirm('Clear all history? This cannot be undone.')) return;
+        const simulated = currentFilter === 'simulated';
+        const question = simulated
+            ? 'Clear all simulated closes? This cannot be undone.'
+            : 'Clear all history? This cannot be undone.';
+        if (!confirm(question)) return;
         try {
-            await clearHistory();
-            allHistory = [];
+            if (simulated) {
+                await clearSimulatedCloses();
+                simulatedCloses = [];
+            } else {
+                await clearHistory();
+                allHistory = [];
+            }
             applyFilters();
             renderStats();
             renderReasonBar();
@@ -107,11 +121,18 @@ function bindListListeners() {
         }
     });
 
-    document.getElementById('historyList').addEventListener('click', (e) => {
+    // Reopen a closed tab in its old window, position and group (see restoreClosedTab in background.js)
+    document.getElementById('historyList').addEventListener('click', async (e) => {
         const item = e.target.closest('.history-item');
         if (!item) return;
         const entry = filteredHistory.find(h => h.id === item.dataset.id);
-        if (entry?.url) chrome.tabs.create({ url: entry.url });
+        if (!entry?.url) return;
+
+        const response = await chrome.runtime.sendMessage({ type: 'restoreClosedTab', entry });
+        if (!response?.success) {
+            console.warn('Restoring in place failed, opening in the current window:', response?.error);
+            chrome.tabs.create({ url: entry.url });
+        }
     });
 }
 
@@ -119,8 +140,10 @@ async function loadAndRender() {
     try {
         await cleanupOldHistory();
         allHistory = await getHistory();
+        simulatedCloses = await getSimulatedCloses();
         // Newest first
         allHistory.sort((a, b) => b.timestamp - a.timestamp);
+        simulatedCloses.sort((a, b) => b.timestamp - a.timestamp);
         applyFilters();
         renderStats();
         renderReasonBar();
@@ -146,13 +169,23 @@ async function cleanupOldHistory() {
     }
 }
 
+// Entries the current filter picks from - the dry-run log or real history
+function getFilterSource() {
+    return currentFilter === 'simulated' ? simulatedCloses : allHistory;
+}
+
+// 'All' and 'Simulated' show their whole source rather than one close reason
+function isWholeSourceFilter() {
+    return currentFilter === 'all' || currentFilter === 'simulated';
+}
+
 function applyFilters() {
-    filteredHistory = allHistory.filter(entry => {
+    filteredHistory = getFilterSource().filter(entry => {
         if (currentFilter === 'manual') {
             if (entry.closeReason !== 'manual_quit' && entry.closeReason !== 'manual_browser') {
                 return false;
             }
-        } else if (currentFilter !== 'all' && entry.closeReason !== currentFilter) {
+        } else if (!isWholeSourceFilter() && entry.closeReason !== currentFilter) {
             return false;
         }
 
@@ -173,7 +206,8 @@ function countReasons(history) {
         timeout: history.filter(h => h.closeReason === 'timeout').length,
         manual_quit: history.filter(h => h.closeReason === 'manual_quit').length,
         manual_browser: history.filter(h => h.closeReason === 'manual_browser').length,
-        batch_close: history.filter(h => h.closeReason === 'batch_close').length
+        batch_close: history.filter(h => h.closeReason === 'batch_close').length,
+        tab_limit: history.filter(h => h.closeReason === 'tab_limit').length
     };
 }
 
@@ -257,10 +291,16 @@ function renderList() {
         list.innerHTML = '';
         list.style.display = 'none';
         empty.style.display = 'flex';
-        empty.querySelector('h3').textContent =
-            allHistory.length === 0 ? 'No History Yet' : 'No Results';
-        empty.querySelector('p').textContent =
-            allHistory.length === 0 ? 'Closed tabs will appear here' : 'Try a different search or filter';
+        const source = getFilterSource();
+        if (currentFilter === 'simulated' && source.length === 0) {
+            empty.querySelector('h3').textContent = 'No Simulated Closes';
+            empty.querySelector('p').textContent = 'Turn on Dry Run in Settings to log what would close';
+        } else {
+            empty.querySelector('h3').textContent =
+                source.length === 0 ? 'No History Yet' : 'No Results';
+            empty.querySelector('p').textContent =
+                source.length === 0 ? 'Closed tabs will appear here' : 'Try a different search or filter';
+        }
         renderPagination();
         return;
     }
@@ -277,12 +317,13 @@ function renderList() {
         </svg>`;
 
         return `
-            <div class="history-item" data-id="${escapeHtml(entry.id)}" title="Open ${escapeHtml(entry.url || '')}">
+            <div class="history-item" data-id="${escapeHtml(entry.id)}" title="Restore ${escapeHtml(entry.url || '')}">
                 <div class="history-favicon">${faviconHtml}${fallback}</div>
                 <div class="history-item-body">
                     <div class="history-title">${escapeHtml(entry.title || entry.url || 'Untitled')}</div>
                     <div class="history-item-meta">
                         <span class="history-reason reason-${entry.closeReason}">${formatCloseReason(entry.closeReason)}</span>
+                        ${entry.rule ? `<span class="history-rule">${escapeHtml(formatSimulatedRule(entry.rule))}</span>` : ''}
                         <span class="history-time" title="${formatAbsoluteTime(entry.timestamp)}">${formatRelativeTime(entry.timestamp)}</span>
                     </div>
                 </div>
@@ -291,6 +332,31 @@ function renderList() {
     }).join('');
 
     renderPagination();
+    markRestorableEntries();
+}
+
+/**
+ * Badge the listed entries the browser can still restore with their back/forward
+ * history (tabs closed in this browser session, see matchClosedSessions in background.js)
+ */
+async function markRestorableEntries() {
+    if (currentFilter === 'simulated') return;
+
+    const pageItems = getPageItems();
+    const response = await chrome.runtime.sendMessage({
+        type: 'getRestorableEntries',
+        entries: pageItems.map(({ id, url, timestamp }) => ({ id, url, timestamp }))
+    });
+    if (!response?.success) return;
+
+    const list = document.getElementById('historyList');
+    for (const id of response.data) {
+        const item = list.querySelector(`.history-item[data-id="${CSS.escape(id)}"]`);
+        if (!item || item.querySelector('.history-restorable')) continue;
+        item.title += ' with its back/forward history';
+        item.querySelector('.history-time').insertAdjacentHTML('beforebegin',
+            '<span class="history-restorable">Full restore</span>');
+    }
 }
 
 function renderPagination() {
@@ -328,8 +394,8 @@ function goToPage(page) {
 function updateCountLabel() {
     const label = document.getElementById('historyCountLabel');
     const n = filteredHistory.length;
-    const total = allHistory.length;
-    if (currentFilter !== 'all' || searchQuery) {
+    const total = getFilterSource().length;
+    if (!isWholeSourceFilter() || searchQuery) {
         label.textContent = `${n} of ${total}`;
     } else {
         label.textContent = `${total} ${total === 1 ? 'entry' : 'entries'}`;
@@ -341,11 +407,24 @@ function formatCloseReason(reason) {
         timeout: 'Timeout',
         manual_quit: 'QuIt',
         manual_browser: 'Browser',
-        batch_close: 'Batch'
+        batch_close: 'Batch',
+        tab_limit: 'Limit'
     };
     return map[reason] || reason;
 }
 
+// What would have closed a tab in dry-run mode, e.g. 'Site rule "github.com" (host) · 30 min'
+function formatSimulatedRule(rule) {
+    if (rule.source === 'limit') {
+        const limits = [];
+        if (rule.maxTabs) limits.push(`${rule.maxTabs} tabs`);
+        if (rule.maxTabsPerWindow) limits.push(`${rule.maxTabsPerWindow} per window`);
+        return `Tab limit (${limits.join(', ')})`;
+    }
+    const text = `${formatTimeoutSource(rule)} · ${formatTimeout(rule.timeout)}`;
+    return rule.afterSleep ? `${text} + sleep timer` : text;
+}
+
 function formatRelativeTime(timestamp) {
     const seconds = Math.floor((Date.now() - timestamp) / 1000);
     const minutes = Math.floor(seconds / 60);
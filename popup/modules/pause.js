@@ -0,0 +1,118 @@
+/**
+ * Pause Module
+ * Timed pause of all auto-closing from the header menu
+ */
+
+import { pauseState, setPauseState } from './state.js';
+import { parseClockTime, updateExtensionStatus } from './utils.js';
+
+// ============================================================================
+// Pause State
+// ============================================================================
+
+/**
+ * Refresh pause state from background and update the header button and footer
+ */
+export async function refreshPauseState() {
+    const response = await chrome.runtime.sendMessage({ type: 'getPauseState' });
+    if (response.success) {
+        setPauseState(response.data);
+    }
+    updatePauseButton();
+    updateExtensionStatus();
+}
+
+/**
+ * Update pause button icon and menu based on pause state
+ */
+export function updatePauseButton() {
+    const pauseBtn = document.getElementById('pauseBtn');
+    const pauseIcon = document.getElementById('pauseIcon');
+    const resumeSection = document.getElementById('resumeSection');
+
+    if (pauseState) {
+        pauseIcon.innerHTML = '<use href="#icon-play"/>';
+        pauseBtn.classList.add('paused');
+        pauseBtn.title = `Paused until ${new Date(pauseState.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+        resumeSection.style.display = 'block';
+    } else {
+        pauseIcon.innerHTML = '<use href="#icon-pause"/>';
+        pauseBtn.classList.remove('paused');
+        pauseBtn.title = 'Pause auto-close';
+        resumeSection.style.display = 'none';
+    }
+}
+
+// ============================================================================
+// Pause Menu
+// ============================================================================
+
+/**
+ * Work out when a pause chosen from the menu should end
+ * @param {string} value - Seconds, 'tomorrow', or 'custom' (prompts for minutes or HH:MM)
+ * @returns {number|null} End timestamp, or null if cancelled/invalid
+ */
+export function getPauseEnd(value) {
+    if (value === 'tomorrow') {
+        // Start of tomorrow (local time)
+        const tomorrow = new Date();
+        tomorrow.setHours(24, 0, 0, 0);
+        return tomorrow.getTime();
+    }
+
+    if (value === 'custom') {
+        const input = prompt('Pause for how many minutes, or until when (HH:MM)?');
+        if (input === null) return null;
+        if (input.includes(':')) {
+            const until = parseClockTime(input);
+            if (!until) alert('Please enter a time like 17:30');
+            return until;
+        }
+        const minutes = parseInt(input);
+        if (!minutes || minutes < 1) {
+            alert('Please enter a number of minutes or a time like 17:30');
+            return null;
+        }
+        return Date.now() + minutes * 60 * 1000;
+    }
+
+    return Date.now() + parseInt(value) * 1000;
+}
+
+/**
+ * Set up the header pause button and its menu
+ */
+export function setupPauseMenu() {
+    const pauseBtn = document.getElementById('pauseBtn');
+    const pauseMenu = document.getElementById('pauseMenu');
+
+    pauseBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const isVisible = pauseMenu.style.display !== 'none';
+        pauseMenu.style.display = isVisible ? 'none' : 'block';
+    });
+
+    pauseMenu.addEventListener('click', async (e) => {
+        const item = e.target.closest('.action-menu-item');
+        if (!item) return;
+
+        e.stopPropagation();
+        pauseMenu.style.display = 'none';
+
+        if (item.dataset.pause === 'resume') {
+            await chrome.runtime.sendMessage({ type: 'resumeAutoClose' });
+        } else {
+            const until = getPauseEnd(item.dataset.pause);
+            if (!until) return;
+            await chrome.runtime.sendMessage({ type: 'pauseAutoClose', until });
+        }
+        await refreshPauseState();
+    });
+
+    // Close menu when clicking outside
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.action-menu-container')) {
+            pauseMenu.style.display = 'none';
+        }
+    });
+}
@@ -0,0 +1,215 @@
+/**
+ * Sessions Module
+ * Named sessions: save a window, a group or selected tabs, restore them later
+ */
+
+import { getSessions, saveSession, deleteSession } from '../../utils/storage.js';
+import { allTabs } from './state.js';
+import { escapeHtml } from './utils.js';
+
+let sessions = [];
+let listenersBound = false;
+
+// ============================================================================
+// Sessions Panel
+// ============================================================================
+
+/**
+ * Setup sessions panel open/back and list interactions
+ */
+export function setupSessionsPanel() {
+    const sessionsBtn = document.getElementById('sessionsBtn');
+    const backBtn = document.getElementById('backFromSessionsBtn');
+    const sessionsPanel = document.getElementById('sessionsPanel');
+    const currentTabEl = document.querySelector('.current-tab');
+    const tabsSection = document.querySelector('.tabs-section');
+
+    sessionsBtn.addEventListener('click', async () => {
+        document.getElementById('settingsPanel').style.display = 'none';
+        document.getElementById('historyPanel').style.display = 'none';
+        currentTabEl.style.display = 'none';
+        tabsSection.style.display = 'none';
+        sessionsPanel.style.display = 'flex';
+        await loadAndRender();
+    });
+
+    backBtn.addEventListener('click', () => {
+        sessionsPanel.style.display = 'none';
+        currentTabEl.style.display = '';
+        tabsSection.style.display = '';
+    });
+
+    if (!listenersBound) {
+        bindListListeners();
+        listenersBound = true;
+    }
+}
+
+function bindListListeners() {
+    // Save the window the popup belongs to
+    document.getElementById('saveWindowSessionBtn').addEventListener('click', async () => {
+        const currentWindow = await chrome.windows.getCurrent();
+        const saved = await saveWindowAsSession(currentWindow.id);
+        if (saved) await loadAndRender();
+    });
+
+    document.getElementById('sessionsList').addEventListener('click', async (e) => {
+        const item = e.target.closest('.session-item');
+        if (!item) return;
+        const session = sessions.find(s => s.id === item.dataset.id);
+        if (!session) return;
+
+        const isDelete = !!e.target.closest('[data-action="delete"]');
+        try {
+            if (isDelete) {
+                if (!confirm(`Delete session "${session.name}"?`)) return;
+                await deleteSession(session.id);
+                await loadAndRender();
+            } else {
+                await restoreSession(session);
+            }
+        } catch (error) {
+            console.error('Error handling session:', error);
+            alert(`Failed to ${isDelete ? 'delete' : 'restore'} session "${session.name}": ${error.message}`);
+        }
+    });
+}
+
+async function loadAndRender() {
+    sessions = await getSessions();
+    renderList();
+}
+
+function renderList() {
+    const list = document.getElementById('sessionsList');
+    const empty = document.getElementById('sessionsEmptyState');
+
+    if (sessions.length === 0) {
+        list.innerHTML = '';
+        list.style.display = 'none';
+        empty.style.display = 'flex';
+        return;
+    }
+
+    empty.style.display = 'none';
+    list.style.display = 'flex';
+
+    list.innerHTML = sessions.map(session => {
+        const favicon = session.tabs.find(t => t.favicon)?.favicon;
+        const faviconHtml = favicon
+            ? `<img src="${escapeHtml(favicon)}" alt="">`
+            : '<svg width="14" height="14"><use href="#icon-layers" /></svg>';
+        const tabCount = `${session.tabs.length} ${session.tabs.length === 1 ? 'tab' : 'tabs'}`;
+        const groupCount = session.groups.length > 0
+            ? ` · ${session.groups.length} ${session.groups.length === 1 ? 'group' : 'groups'}`
+            : '';
+
+        return `
+            <div class="history-item session-item" data-id="${escapeHtml(session.id)}" title="Restore in a new window">
+                <div class="history-favicon">${faviconHtml}</div>
+                <div class="history-item-body">
+                    <div class="history-title">${escapeHtml(session.name)}</div>
+                    <div class="history-item-meta">
+                        <span class="history-rule">${tabCount}${groupCount}</span>
+                        <span class="history-time">${new Date(session.createdAt).toLocaleDateString()}</span>
+                    </div>
+                </div>
+                <button class="icon-btn session-delete-btn" data-action="delete" title="Delete session">
+                    <svg width="14" height="14">
+                        <use href="#icon-trash" />
+                    </svg>
+                </button>
+            </div>
+        `;
+    }).join('');
+}
+
+// ============================================================================
+// Saving
+// ============================================================================
+
+/**
+ * Prompt for a name and save tabs as a session
+ * @param {chrome.tabs.Tab[]} tabs - Tabs to save (any windows; saved in window and tab order)
+ * @param {string} defaultName - Suggested name
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function saveTabsAsSession(tabs, defaultName) {
+    const savable = tabs.filter(t => t.url);
+    if (savable.length === 0) return false;
+
+    const name = prompt('Session name:', defaultName);
+    if (!name || name.trim() === '') return false;
+
+    const ordered = [...savable].sort((a, b) => a.windowId - b.windowId || a.index - b.index);
+
+    // Groups are stored once and referenced by index from their tabs
+    const groups = [];
+    const groupIndexById = new Map();
+    for (const tab of ordered) {
+        if (tab.groupId === -1 || groupIndexById.has(tab.groupId)) continue;
+        try {
+            const group = await chrome.tabGroups.get(tab.groupId);
+            groupIndexById.set(tab.groupId, groups.length);
+            groups.push({ title: group.title || '', color: group.color });
+        } catch {
+            // Group closed meanwhile - save its tabs ungrouped
+        }
+    }
+
+    const saved = await saveSession({
+        name: name.trim(),
+        tabs: ordered.map(tab => ({
+            url: tab.url,
+            title: tab.title || 'Untitled',
+            favicon: tab.favIconUrl || '',
+            pinned: tab.pinned,
+            group: groupIndexById.get(tab.groupId) ?? null
+        })),
+        groups
+    });
+    return !!saved;
+}
+
+/**
+ * Save every tab in a window as a session
+ * @param {number} windowId - Window to save
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function saveWindowAsSession(windowId) {
+    const tabs = await chrome.tabs.query({ windowId });
+    const activeTab = tabs.find(t => t.active);
+    return saveTabsAsSession(tabs, activeTab?.title || 'Window');
+}
+
+/**
+ * Save the tabs of a group as a session
+ * @param {number} groupId - Group to save
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function saveGroupAsSession(groupId) {
+    const tabs = allTabs.filter(t => t.groupId === groupId);
+    let name = 'Group';
+    try {
+        name = (await chrome.tabGroups.get(groupId)).title || name;
+    } catch {
+        // Fall back to the generic name
+    }
+    return saveTabsAsSession(tabs, name);
+}
+
+// ============================================================================
+// Restoring
+// ============================================================================
+
+/**
+ * Restore a session into a new window, recreating its groups
+ * (the background does the work, as the popup closes when the window opens)
+ * @param {Object} session - Session from storage
+ */
+export async function restoreSession(session) {
+    const response = await chrome.runtime.sendMessage({ type: 'restoreSession', session });
+    if (!response?.success) {
+        throw new Error(response?.error || 'Unknown error');
+    }
+}
@@ -3,10 +3,11 @@
  * Settings panel and per-site timeout configuration
  */
 
-import { getSettings, saveSettings } from '../../utils/storage.js';
-import { settings, currentTab, setSettings } from './state.js';
-import { escapeHtml, updateExtensionStatus } from './utils.js';
+import { getSettings, saveSettings, validateSitePattern } from '../../utils/storage.js';
+import { settings, currentTab, tabGroups, setSettings } from './state.js';
+import { escapeHtml, updateExtensionStatus, formatExplanation } from './utils.js';
 import { renderTabsList } from './tabs.js';
+import { refreshTabStates, updateProtectButton } from './currentTab.js';
 
 // ============================================================================
 // Theme
@@ -44,16 +45,27 @@ export function setupSettingsPanel() {
     // Open settings panel
     settingsBtn.addEventListener('click', () => {
         if (historyPanel) historyPanel.style.display = 'none';
+        document.getElementById('sessionsPanel').style.display = 'none';
         currentTabEl.style.display = 'none';
         tabsSection.style.display = 'none';
         settingsPanel.style.display = 'flex';
 
         // Populate settings values
         document.getElementById('popupEnabledToggle').checked = settings.enabled;
+        document.getElementById('popupDryRun').checked = settings.dryRun;
         document.getElementById('popupCountdownInput').value = settings.globalCountdown / 60;
+        document.getElementById('popupSleepBeforeClose').checked = settings.sleepBeforeClose;
+        document.getElementById('popupSleepCountdownInput').value = settings.sleepCountdown / 60;
+        document.getElementById('popupWarnBeforeClose').checked = settings.warnBeforeClose;
+        document.getElementById('popupWarningSecondsInput').value = settings.warningSeconds;
+        document.getElementById('popupMaxTabsInput').value = settings.maxTabs;
+        document.getElementById('popupMaxTabsPerWindowInput').value = settings.maxTabsPerWindow;
+        document.getElementById('popupLastTabBehavior').value = settings.lastTabBehavior;
         document.getElementById('popupAutoClosePinned').checked = settings.autoClosePinned;
         document.getElementById('popupAutoCloseSpecial').checked = settings.autoCloseSpecial;
         document.getElementById('popupPauseOnMedia').checked = settings.pauseOnMedia;
+        document.getElementById('popupPauseOnIdle').checked = settings.pauseOnIdle;
+        document.getElementById('popupIdleThresholdInput').value = Math.round(settings.idleThreshold / 60);
         document.getElementById('popupFocusedWindowOnly').checked = settings.focusedWindowOnly;
 
         // Sync theme picker active state
@@ -62,6 +74,11 @@ export function setupSettingsPanel() {
             btn.classList.toggle('active', btn.dataset.theme === currentTheme);
         });
 
+        // Sync badge mode picker active state
+        document.querySelectorAll('#badgeModePicker .theme-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.badgeMode === settings.badgeMode);
+        });
+
         // Set version from manifest
         const manifest = chrome.runtime.getManifest();
         document.getElementById('extensionVersion').textContent = 'v' + manifest.version;
@@ -83,6 +100,14 @@ export function setupSettingsPanel() {
         renderTabsList();
     });
 
+    // Dry run toggle
+    document.getElementById('popupDryRun').addEventListener('change', async (e) => {
+        settings.dryRun = e.target.checked;
+        await saveSettings(settings);
+        await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
+        updateExtensionStatus();
+    });
+
     // Countdown number input
     const countdownInput = document.getElementById('popupCountdownInput');
 
@@ -98,6 +123,80 @@ export function setupSettingsPanel() {
         await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
     });
 
+    // Sleep before closing toggle
+    document.getElementById('popupSleepBeforeClose').addEventListener('change', async (e) => {
+        settings.sleepBeforeClose = e.target.checked;
+        await saveSettings(settings);
+        await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
+    });
+
+    // Sleep countdown number input
+    document.getElementById('popupSleepCountdownInput').addEventListener('change', async (e) => {
+        let value = parseInt(e.target.value);
+        // Clamp value between 1 and 1440
+        if (isNaN(value) || value < 1) value = 1;
+        if (value > 1440) value = 1440;
+        e.target.value = value;
+
+        settings.sleepCountdown = value * 60;
+        await saveSettings(settings);
+        await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
+    });
+
+    // Warn before closing toggle
+    document.getElementById('popupWarnBeforeClose').addEventListener('change', async (e) => {
+        settings.warnBeforeClose = e.target.checked;
+        await saveSettings(settings);
+        await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
+    });
+
+    // Warning time number input
+    document.getElementById('popupWarningSecondsInput').addEventListener('change', async (e) => {
+        let value = parseInt(e.target.value);
+        // Clamp value between 10 and 600
+        if (isNaN(value) || value < 10) value = 10;
+        if (value > 600) value = 600;
+        e.target.value = value;
+
+        settings.warningSeconds = value;
+        await saveSettings(settings);
+        await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
+    });
+
+    // Max tabs input (0 = no limit)
+    document.getElementById('popupMaxTabsInput').addEventListener('change', async (e) => {
+        let value = parseInt(e.target.value);
+        // Clamp value between 0 and 500
+        if (isNaN(value) || value < 0) value = 0;
+        if (value > 500) value = 500;
+        e.target.value = value;
+
+        settings.maxTabs = value;
+        await saveSettings(settings);
+        await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
+        renderTabsList();
+    });
+
+    // Max tabs per window input (0 = no limit)
+    document.getElementById('popupMaxTabsPerWindowInput').addEventListener('change', async (e) => {
+        let value = parseInt(e.target.value);
+        // Clamp value between 0 and 500
+        if (isNaN(value) || value < 0) value = 0;
+        if (value > 500) value = 500;
+        e.target.value = value;
+
+        settings.maxTabsPerWindow = value;
+        await saveSettings(settings);
+        await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
+    });
+
+    // Last tab in a window select
+    document.getElementById('popupLastTabBehavior').addEventListener('change', async (e) => {
+        settings.lastTabBehavior = e.target.value;
+        await saveSettings(settings);
+        await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
+    });
+
     // Auto-close pinned toggle
     document.getElementById('popupAutoClosePinned').addEventListener('change', async (e) => {
         settings.autoClosePinned = e.target.checked;
@@ -121,6 +220,26 @@ export function setupSettingsPanel() {
         await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
     });
 
+    // Pause when idle toggle
+    document.getElementById('popupPauseOnIdle').addEventListener('change', async (e) => {
+        settings.pauseOnIdle = e.target.checked;
+        await saveSettings(settings);
+        await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
+    });
+
+    // Idle threshold number input
+    document.getElementById('popupIdleThresholdInput').addEventListener('change', async (e) => {
+        let value = parseInt(e.target.value);
+        // Clamp value between 1 and 60
+        if (isNaN(value) || value < 1) value = 1;
+        if (value > 60) value = 60;
+        e.target.value = value;
+
+        settings.idleThreshold = value * 60;
+        await saveSettings(settings);
+        await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
+    });
+
     // Focused window only toggle
     document.getElementById('popupFocusedWindowOnly').addEventListener('change', async (e) => {
         settings.focusedWindowOnly = e.target.checked;
@@ -128,6 +247,18 @@ export function setupSettingsPanel() {
         await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
     });
 
+    // Badge mode picker
+    document.querySelectorAll('#badgeModePicker .theme-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            settings.badgeMode = btn.dataset.badgeMode;
+            await saveSettings(settings);
+            await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
+            document.querySelectorAll('#badgeModePicker .theme-btn').forEach(b => {
+                b.classList.toggle('active', b === btn);
+            });
+        });
+    });
+
     // Per-Site Timeout: Add button
     document.getElementById('addPerSiteTimeoutBtn').addEventListener('click', () => {
         showPerSiteTimeoutDialog();
@@ -147,6 +278,22 @@ export function setupSettingsPanel() {
         });
     });
 
+    // Per-Site Timeout: Match type and live pattern validation
+    document.getElementById('siteMatchType').addEventListener('change', () => {
+        updateSitePatternField();
+        updateSiteRuleTester();
+    });
+
+    document.getElementById('sitePattern').addEventListener('input', () => {
+        showSitePatternError(false);
+        updateSiteRuleTester();
+    });
+
+    // Per-Site Timeout: Re-test whenever the test URL or timeout changes
+    ['siteTestUrl', 'siteTimeout'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => updateSiteRuleTester());
+    });
+
     // Per-Site Timeout: Cancel button
     document.getElementById('cancelPerSiteTimeout').addEventListener('click', () => {
         hidePerSiteTimeoutDialog();
@@ -157,14 +304,87 @@ export function setupSettingsPanel() {
         await savePerSiteTimeoutRule();
     });
 
-    // Load per-site timeouts
+    // Always Protected: Add, Cancel and Save buttons
+    document.getElementById('addProtectedSiteBtn').addEventListener('click', () => {
+        showProtectedSiteDialog();
+    });
+
+    document.getElementById('protectedSiteMatchType').addEventListener('change', () => {
+        updateProtectedSitePatternField();
+    });
+
+    document.getElementById('protectedSitePattern').addEventListener('input', () => {
+        showProtectedSitePatternError(false);
+    });
+
+    document.getElementById('cancelProtectedSite').addEventListener('click', () => {
+        hideProtectedSiteDialog();
+    });
+
+    document.getElementById('saveProtectedSite').addEventListener('click', async () => {
+        await saveProtectedSiteEntry();
+    });
+
+    // Group Timeout: Add, Cancel and Save buttons
+    document.getElementById('addGroupTimeoutBtn').addEventListener('click', () => {
+        showGroupTimeoutDialog();
+    });
+
+    document.getElementById('groupNeverClose').addEventListener('change', (e) => {
+        document.getElementById('groupTimeout').disabled = e.target.checked;
+    });
+
+    document.getElementById('cancelGroupTimeout').addEventListener('click', () => {
+        hideGroupTimeoutDialog();
+    });
+
+    document.getElementById('saveGroupTimeout').addEventListener('click', async () => {
+        await saveGroupTimeoutRule();
+    });
+
+    // Schedules: Add, Add range, Cancel and Save buttons
+    document.getElementById('addScheduleProfileBtn').addEventListener('click', () => {
+        showScheduleProfileDialog();
+    });
+
+    document.getElementById('addScheduleRangeBtn').addEventListener('click', () => {
+        addScheduleRangeRow();
+    });
+
+    document.getElementById('cancelScheduleProfile').addEventListener('click', () => {
+        hideScheduleProfileDialog();
+    });
+
+    document.getElementById('saveScheduleProfile').addEventListener('click', async () => {
+        await saveScheduleProfile();
+    });
+
+    // Keyboard shortcuts: open the browser's shortcut page (chrome:// links can't be followed)
+    document.getElementById('editShortcutsBtn').addEventListener('click', () => {
+        const scheme = navigator.userAgent.includes('Edg/') ? 'edge' : 'chrome';
+        chrome.tabs.create({ url: `${scheme}://extensions/shortcuts` });
+    });
+
+    // Load per-site timeouts, protected sites, group timeouts, schedules and shortcuts
     renderPerSiteTimeouts();
+    renderProtectedSites();
+    renderGroupTimeouts();
+    renderScheduleProfiles();
+    renderShortcuts();
 }
 
 // ============================================================================
 // Per-Site Timeout Management
 // ============================================================================
 
+// Per-site rule match types: dialog label/placeholder and list tag
+const SITE_MATCH_TYPES = {
+    host: { label: 'Domain (e.g., example.com or *.example.com)', placeholder: 'example.com', tag: '' },
+    url: { label: 'URL pattern - host, path and query; * matches anything', placeholder: 'github.com/*/pull/*', tag: 'URL · ' },
+    regex: { label: 'Regular expression, tested against the full URL', placeholder: '^https://docs\\.google\\.com/spreadsheets/', tag: 'Regex · ' },
+    exact: { label: 'Full URL of the page', placeholder: 'https://example.com/page', tag: 'Exact URL' }
+};
+
 /**
  * Render per-site timeout rules
  */
@@ -181,9 +401,9 @@ export async function renderPerSiteTimeouts() {
         <div class="per-site-rule">
             <div class="per-site-info">
                 <div class="per-site-pattern">${escapeHtml(rule.pattern)}</div>
-                <div class="per-site-timeout">${Math.floor(rule.timeout / 60)} minutes</div>
+                <div class="per-site-timeout">${SITE_MATCH_TYPES[rule.matchType || 'host'].tag}${rule.timeout === null ? 'Never close' : `${Math.floor(rule.timeout / 60)} minutes`}${rule.sleepTimeout ? ` · sleep ${Math.floor(rule.sleepTimeout / 60)} min` : ''}</div>
             </div>
-            <button class="btn-icon" data-pattern="${escapeHtml(rule.pattern)}" title="Remove rule">
+            <button class="btn-icon" data-pattern="${escapeHtml(rule.pattern)}" data-match-type="${rule.matchType || 'host'}" title="Remove rule">
                 <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <path d="M18 6L6 18M6 6l12 12" stroke-linecap="round" />
                 </svg>
@@ -194,8 +414,7 @@ export async function renderPerSiteTimeouts() {
     // Attach delete handlers
     listEl.querySelectorAll('.btn-icon').forEach(btn => {
         btn.addEventListener('click', async () => {
-            const pattern = btn.dataset.pattern;
-            await removePerSiteTimeoutRule(pattern);
+            await removePerSiteTimeoutRule(btn.dataset.pattern, btn.dataset.matchType);
         });
     });
 }
@@ -207,6 +426,8 @@ export function showPerSiteTimeoutDialog() {
     const dialog = document.getElementById('perSiteTimeoutDialog');
     const patternInput = document.getElementById('sitePattern');
     const timeoutInput = document.getElementById('siteTimeout');
+    const sleepTimeoutInput = document.getElementById('siteSleepTimeout');
+    const testUrlInput = document.getElementById('siteTestUrl');
 
     // Pre-fill with current tab's domain if available
     if (currentTab && currentTab.url) {
@@ -216,15 +437,94 @@ export function showPerSiteTimeoutDialog() {
         } catch {
             patternInput.value = '';
         }
+        testUrlInput.value = currentTab.url;
     } else {
         patternInput.value = '';
+        testUrlInput.value = '';
     }
 
     timeoutInput.value = 30; // Default 30 minutes
+    sleepTimeoutInput.value = ''; // Default to the global sleep timer
+    document.getElementById('siteMatchType').value = 'host';
+    updateSitePatternField();
+    updateSiteRuleTester();
     dialog.style.display = 'flex';
     patternInput.focus();
 }
 
+/**
+ * Preview the rule being edited against the test URL: does it match,
+ * and does it win over the rules that already exist?
+ */
+async function updateSiteRuleTester() {
+    const resultEl = document.getElementById('siteTestResult');
+    const testUrl = document.getElementById('siteTestUrl').value.trim();
+    if (!testUrl) {
+        resultEl.style.display = 'none';
+        return;
+    }
+
+    const pattern = document.getElementById('sitePattern').value.trim();
+    const matchType = document.getElementById('siteMatchType').value;
+    const minutes = parseInt(document.getElementById('siteTimeout').value);
+
+    // Only preview rules that could actually be saved
+    let draftRule = null;
+    if (!validateSitePattern(pattern, matchType) && minutes >= 1 && minutes <= 1440) {
+        draftRule = { pattern, timeout: minutes * 60 };
+        if (matchType !== 'host') draftRule.matchType = matchType;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'explainTab', url: testUrl, draftRule });
+        // Ignore answers to an older request if the fields changed meanwhile
+        if (testUrl !== document.getElementById('siteTestUrl').value.trim()) return;
+        if (!response.success) throw new Error(response.error);
+
+        const explanation = response.data;
+        let verdict = '';
+        let status = 'neutral';
+        if (draftRule && explanation.isDraftRule) {
+            verdict = '✓ This rule applies';
+            status = 'match';
+        } else if (draftRule && explanation.draftMatches) {
+            verdict = '⚠ This rule matches, but another rule wins';
+            status = 'overridden';
+        } else if (draftRule) {
+            verdict = '✗ This rule doesn\'t match';
+            status = 'no-match';
+        }
+
+        resultEl.textContent = (verdict ? verdict + '\n' : '') + formatExplanation(explanation);
+        resultEl.className = `rule-test-result ${status}`;
+        resultEl.style.display = 'block';
+    } catch (error) {
+        console.error('Error testing per-site rule:', error);
+        resultEl.style.display = 'none';
+    }
+}
+
+/**
+ * Update the pattern field's label and placeholder for the selected match type
+ */
+function updateSitePatternField() {
+    const meta = SITE_MATCH_TYPES[document.getElementById('siteMatchType').value];
+    document.getElementById('sitePatternLabel').textContent = meta.label;
+    document.getElementById('sitePattern').placeholder = meta.placeholder;
+    showSitePatternError(false);
+}
+
+/**
+ * Show or clear the pattern validation error in the per-site dialog
+ * @param {string|false} message - Error message, or false to clear it
+ */
+function showSitePatternError(message) {
+    const errorEl = document.getElementById('sitePatternError');
+    document.getElementById('sitePattern').classList.toggle('invalid', !!message);
+    errorEl.textContent = message || '';
+    errorEl.style.display = message ? 'block' : 'none';
+}
+
 /**
  * Hide per-site timeout dialog
  */
@@ -238,10 +538,14 @@ export function hidePerSiteTimeoutDialog() {
  */
 export async function savePerSiteTimeoutRule() {
     const pattern = document.getElementById('sitePattern').value.trim();
+    const matchType = document.getElementById('siteMatchType').value;
     const minutes = parseInt(document.getElementById('siteTimeout').value);
+    const sleepInput = document.getElementById('siteSleepTimeout').value.trim();
+    const sleepMinutes = sleepInput ? parseInt(sleepInput) : null;
 
-    if (!pattern) {
-        alert('Please enter a domain pattern');
+    const patternError = validateSitePattern(pattern, matchType);
+    if (patternError) {
+        showSitePatternError(patternError);
         return;
     }
 
@@ -250,6 +554,11 @@ export async function savePerSiteTimeoutRule() {
         return;
     }
 
+    if (sleepInput && (!sleepMinutes || sleepMinutes < 1 || sleepMinutes > 1440)) {
+        alert('Please enter a valid sleep timeout between 1-1440 minutes, or leave it empty');
+        return;
+    }
+
     const timeout = minutes * 60; // Convert to seconds
 
     // Add rule to settings
@@ -258,10 +567,15 @@ export async function savePerSiteTimeoutRule() {
     }
 
     // Remove existing rule for this pattern
-    settings.perSiteTimeouts = settings.perSiteTimeouts.filter(r => r.pattern !== pattern);
+    settings.perSiteTimeouts = settings.perSiteTimeouts.filter(
+        r => r.pattern !== pattern || (r.matchType || 'host') !== matchType
+    );
 
-    // Add new rule
-    settings.perSiteTimeouts.push({ pattern, timeout });
+    // Add new rule (match type and sleep timeout only when not the default)
+    const rule = { pattern, timeout };
+    if (matchType !== 'host') rule.matchType = matchType;
+    if (sleepMinutes) rule.sleepTimeout = sleepMinutes * 60;
+    settings.perSiteTimeouts.push(rule);
 
     await saveSettings(settings);
     await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
@@ -273,10 +587,531 @@ export async function savePerSiteTimeoutRule() {
 /**
  * Remove per-site timeout rule
  * @param {string} pattern - Pattern to remove
+ * @param {string} matchType - Match type of the rule ('host', 'url' or 'regex')
  */
-export async function removePerSiteTimeoutRule(pattern) {
-    settings.perSiteTimeouts = settings.perSiteTimeouts.filter(r => r.pattern !== pattern);
+export async function removePerSiteTimeoutRule(pattern, matchType = 'host') {
+    settings.perSiteTimeouts = settings.perSiteTimeouts.filter(
+        r => r.pattern !== pattern || (r.matchType || 'host') !== matchType
+    );
     await saveSettings(settings);
     await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
     renderPerSiteTimeouts();
 }
+
+// ============================================================================
+// Always Protected Sites
+// ============================================================================
+
+/**
+ * Render the always-protect list
+ */
+export function renderProtectedSites() {
+    const listEl = document.getElementById('protectedSitesList');
+    const entries = settings.protectedSites || [];
+
+    if (entries.length === 0) {
+        listEl.innerHTML = '<div class="empty-message">No always-protected sites</div>';
+        return;
+    }
+
+    listEl.innerHTML = entries.map(entry => `
+        <div class="per-site-rule">
+            <div class="per-site-info">
+                <div class="per-site-pattern">${escapeHtml(entry.pattern)}</div>
+                <div class="per-site-timeout">${entry.matchType === 'host' ? 'Domain' : SITE_MATCH_TYPES[entry.matchType].tag.replace(' · ', '')}</div>
+            </div>
+            <button class="btn-icon" data-pattern="${escapeHtml(entry.pattern)}" data-match-type="${entry.matchType}" title="Remove">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M18 6L6 18M6 6l12 12" stroke-linecap="round" />
+                </svg>
+            </button>
+        </div>
+    `).join('');
+
+    // Attach delete handlers
+    listEl.querySelectorAll('.btn-icon').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            await setSiteProtected(btn.dataset.pattern, btn.dataset.matchType, false);
+        });
+    });
+}
+
+/**
+ * Show the always-protect dialog, pre-filled with the current tab's domain
+ */
+export function showProtectedSiteDialog() {
+    const patternInput = document.getElementById('protectedSitePattern');
+    try {
+        patternInput.value = new URL(currentTab.url).hostname;
+    } catch {
+        patternInput.value = '';
+    }
+
+    document.getElementById('protectedSiteMatchType').value = 'host';
+    updateProtectedSitePatternField();
+    document.getElementById('protectedSiteDialog').style.display = 'flex';
+    patternInput.focus();
+}
+
+/**
+ * Hide the always-protect dialog
+ */
+export function hideProtectedSiteDialog() {
+    document.getElementById('protectedSiteDialog').style.display = 'none';
+}
+
+/**
+ * Update the pattern field for the selected match type (an exact URL starts from the current tab's)
+ */
+function updateProtectedSitePatternField() {
+    const matchType = document.getElementById('protectedSiteMatchType').value;
+    const patternInput = document.getElementById('protectedSitePattern');
+    const meta = SITE_MATCH_TYPES[matchType];
+    document.getElementById('protectedSitePatternLabel').textContent = meta.label;
+    patternInput.placeholder = meta.placeholder;
+    if (matchType === 'exact' && currentTab?.url) patternInput.value = currentTab.url;
+    showProtectedSitePatternError(false);
+}
+
+/**
+ * Show or clear the pattern validation error in the always-protect dialog
+ * @param {string|false} message - Error message, or false to clear it
+ */
+function showProtectedSitePatternError(message) {
+    const errorEl = document.getElementById('protectedSitePatternError');
+    document.getElementById('protectedSitePattern').classList.toggle('invalid', !!message);
+    errorEl.textContent = message || '';
+    errorEl.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Save the entry from the always-protect dialog
+ */
+export async function saveProtectedSiteEntry() {
+    let pattern = document.getElementById('protectedSitePattern').value.trim();
+    const matchType = document.getElementById('protectedSiteMatchType').value;
+
+    const patternError = validateSitePattern(pattern, matchType);
+    if (patternError) {
+        showProtectedSitePatternError(patternError);
+        return;
+    }
+
+    // Compare exact URLs the way the browser reports them
+    if (matchType === 'exact') pattern = new URL(pattern).href;
+
+    await setSiteProtected(pattern, matchType, true);
+    hideProtectedSiteDialog();
+}
+
+/**
+ * Add an entry to or remove it from the always-protect list. Open tabs it
+ * matches are protected (or unprotected) by the background straight away.
+ * @param {string} pattern - Full URL, domain or URL pattern
+ * @param {string} matchType - 'exact', 'host' or 'url'
+ * @param {boolean} isProtected - Add (true) or remove (false) the entry
+ */
+export async function setSiteProtected(pattern, matchType, isProtected) {
+    settings.protectedSites = (settings.protectedSites || []).filter(
+        entry => entry.pattern !== pattern || entry.matchType !== matchType
+    );
+    if (isProtected) settings.protectedSites.push({ pattern, matchType });
+
+    await saveSettings(settings);
+    await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
+    await refreshTabStates();
+
+    renderProtectedSites();
+    updateProtectButton();
+    renderTabsList();
+}
+
+// ============================================================================
+// Group Timeout Management
+// ============================================================================
+
+/**
+ * Render group timeout rules
+ */
+export function renderGroupTimeouts() {
+    const listEl = document.getElementById('groupTimeoutsList');
+    const rules = settings.groupTimeouts || [];
+
+    if (rules.length === 0) {
+        listEl.innerHTML = '<div class="empty-message">No group timeouts set</div>';
+        return;
+    }
+
+    listEl.innerHTML = rules.map(rule => `
+        <div class="per-site-rule">
+            <div class="per-site-info">
+                <div class="per-site-pattern">${escapeHtml(rule.title)}</div>
+                <div class="per-site-timeout">${rule.timeout === null ? 'Never close' : `${Math.floor(rule.timeout / 60)} minutes`}</div>
+            </div>
+            <button class="btn-icon" data-title="${escapeHtml(rule.title)}" title="Remove rule">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M18 6L6 18M6 6l12 12" stroke-linecap="round" />
+                </svg>
+            </button>
+        </div>
+    `).join('');
+
+    // Attach delete handlers
+    listEl.querySelectorAll('.btn-icon').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            await removeGroupTimeoutRule(btn.dataset.title);
+        });
+    });
+}
+
+/**
+ * Show group timeout dialog
+ */
+export function showGroupTimeoutDialog() {
+    const dialog = document.getElementById('groupTimeoutDialog');
+    const titleInput = document.getElementById('groupTitleInput');
+
+    // Suggest the titles of open groups
+    const titles = [...new Set(Object.values(tabGroups).map(g => g.title))];
+    document.getElementById('groupTitleOptions').innerHTML = titles
+        .map(title => `<option value="${escapeHtml(title)}"></option>`)
+        .join('');
+
+    titleInput.value = '';
+    document.getElementById('groupNeverClose').checked = false;
+    document.getElementById('groupTimeout').disabled = false;
+    document.getElementById('groupTimeout').value = 30; // Default 30 minutes
+    dialog.style.display = 'flex';
+    titleInput.focus();
+}
+
+/**
+ * Hide group timeout dialog
+ */
+export function hideGroupTimeoutDialog() {
+    document.getElementById('groupTimeoutDialog').style.display = 'none';
+}
+
+/**
+ * Save group timeout rule
+ */
+export async function saveGroupTimeoutRule() {
+    const title = document.getElementById('groupTitleInput').value.trim();
+    const neverClose = document.getElementById('groupNeverClose').checked;
+    const minutes = parseInt(document.getElementById('groupTimeout').value);
+
+    if (!title) {
+        alert('Please enter a group title');
+        return;
+    }
+
+    if (!neverClose && (!minutes || minutes < 1 || minutes > 1440)) {
+        alert('Please enter a valid timeout between 1-1440 minutes');
+        return;
+    }
+
+    // Replace any existing rule for this group (titles match case-insensitively)
+    settings.groupTimeouts = (settings.groupTimeouts || [])
+        .filter(r => r.title.toLowerCase() !== title.toLowerCase());
+    settings.groupTimeouts.push({ title, timeout: neverClose ? null : minutes * 60 });
+
+    await saveSettings(settings);
+    await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
+
+    hideGroupTimeoutDialog();
+    renderGroupTimeouts();
+    renderTabsList();
+}
+
+/**
+ * Remove group timeout rule
+ * @param {string} title - Group title of the rule to remove
+ */
+export async function removeGroupTimeoutRule(title) {
+    settings.groupTimeouts = settings.groupTimeouts.filter(r => r.title !== title);
+    await saveSettings(settings);
+    await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
+    renderGroupTimeouts();
+    renderTabsList();
+}
+
+// ============================================================================
+// Schedule Profiles
+// ============================================================================
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Index of the profile being edited (null when adding a new one)
+let editingProfileIndex = null;
+
+/**
+ * Format minutes after midnight as HH:MM
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Time string for a time input
+ */
+function toTimeValue(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${hours.toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Parse an HH:MM time input value into minutes after midnight
+ * @param {string} value - Time input value
+ * @returns {number|null} Minutes after midnight, or null if empty
+ */
+function fromTimeValue(value) {
+    if (!value) return null;
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Describe a range's days, e.g. "Weekdays" or "Mon, Wed"
+ * @param {number[]} days - Weekday numbers (0 = Sunday)
+ * @returns {string} Short description
+ */
+function formatDays(days) {
+    const sorted = [...days].sort();
+    if (sorted.length === 7) return 'Every day';
+    if (sorted.join() === '1,2,3,4,5') return 'Weekdays';
+    if (sorted.join() === '0,6') return 'Weekends';
+    return sorted.map(d => DAY_NAMES[d]).join(', ');
+}
+
+/**
+ * Render schedule profiles
+ */
+export function renderScheduleProfiles() {
+    const listEl = document.getElementById('scheduleProfilesList');
+    const profiles = settings.scheduleProfiles || [];
+
+    if (profiles.length === 0) {
+        listEl.innerHTML = '<div class="empty-message">No schedules set</div>';
+        return;
+    }
+
+    listEl.innerHTML = profiles.map((profile, index) => {
+        const ranges = profile.ranges
+            .map(r => `${formatDays(r.days)} ${toTimeValue(r.start)}–${toTimeValue(r.end)}`)
+            .join('; ');
+        const policy = profile.enabled
+            ? `${Math.floor(profile.globalCountdown / 60)} minutes`
+            : 'Auto-close off';
+        const overrides = profile.perSiteTimeouts?.length
+            ? ` · ${profile.perSiteTimeouts.length} site rule${profile.perSiteTimeouts.length === 1 ? '' : 's'}`
+            : '';
+        return `
+            <div class="per-site-rule" data-index="${index}" style="cursor: pointer;" title="Edit schedule">
+                <div class="per-site-info">
+                    <div class="per-site-pattern">${escapeHtml(profile.name)}</div>
+                    <div class="per-site-timeout">${escapeHtml(ranges)}</div>
+                    <div class="per-site-timeout">${policy}${overrides}</div>
+                </div>
+                <button class="btn-icon" data-index="${index}" title="Remove schedule">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M18 6L6 18M6 6l12 12" stroke-linecap="round" />
+                    </svg>
+                </button>
+            </div>
+        `;
+    }).join('');
+
+    // Click a profile to edit it, or its X to remove it
+    listEl.querySelectorAll('.per-site-rule').forEach(row => {
+        row.addEventListener('click', () => {
+            showScheduleProfileDialog(parseInt(row.dataset.index));
+        });
+    });
+    listEl.querySelectorAll('.btn-icon').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await removeScheduleProfile(parseInt(btn.dataset.index));
+        });
+    });
+}
+
+/**
+ * Add a day/hour range row to the schedule dialog
+ * @param {Object} range - Range to show ({ days, start, end }), defaults to weekdays 9-18
+ */
+export function addScheduleRangeRow(range = { days: [1, 2, 3, 4, 5], start: 9 * 60, end: 18 * 60 }) {
+    const container = document.getElementById('scheduleRanges');
+    const row = document.createElement('div');
+    row.className = 'schedule-range';
+
+    // Monday first in the day picker
+    const dayOrder = [1, 2, 3, 4, 5, 6, 0];
+    row.innerHTML = `
+        <div class="schedule-days">
+            ${dayOrder.map(day => `
+                <label class="schedule-day">
+                    <input type="checkbox" value="${day}" ${range.days.includes(day) ? 'checked' : ''}>
+                    <span>${DAY_NAMES[day].charAt(0)}</span>
+                </label>
+            `).join('')}
+        </div>
+        <input type="time" class="schedule-start" value="${toTimeValue(range.start)}">
+        <span class="countdown-unit">to</span>
+        <input type="time" class="schedule-end" value="${toTimeValue(range.end)}">
+        <button class="btn-icon" title="Remove time range">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M18 6L6 18M6 6l12 12" stroke-linecap="round" />
+            </svg>
+        </button>
+    `;
+    row.querySelector('.btn-icon').addEventListener('click', () => row.remove());
+    container.appendChild(row);
+}
+
+/**
+ * Show schedule profile dialog
+ * @param {number|null} index - Index of the profile to edit, or null to add one
+ */
+export function showScheduleProfileDialog(index = null) {
+    const dialog = document.getElementById('scheduleProfileDialog');
+    const profile = index !== null ? settings.scheduleProfiles[index] : null;
+    editingProfileIndex = index;
+
+    document.getElementById('scheduleDialogTitle').textContent = profile ? 'Edit Schedule' : 'Add Schedule';
+    document.getElementById('scheduleName').value = profile?.name || '';
+    document.getElementById('scheduleEnabled').checked = profile ? profile.enabled : true;
+    document.getElementById('scheduleCountdown').value = Math.floor((profile?.globalCountdown ?? settings.globalCountdown) / 60);
+    document.getElementById('scheduleSiteRules').value = (profile?.perSiteTimeouts || [])
+        .map(rule => `${rule.pattern} ${Math.floor(rule.timeout / 60)}`)
+        .join('\n');
+
+    document.getElementById('scheduleRanges').innerHTML = '';
+    if (profile) {
+        profile.ranges.forEach(range => addScheduleRangeRow(range));
+    } else {
+        addScheduleRangeRow();
+    }
+
+    dialog.style.display = 'flex';
+    document.getElementById('scheduleName').focus();
+}
+
+/**
+ * Hide schedule profile dialog
+ */
+export function hideScheduleProfileDialog() {
+    document.getElementById('scheduleProfileDialog').style.display = 'none';
+    editingProfileIndex = null;
+}
+
+/**
+ * Save schedule profile from the dialog
+ */
+export async function saveScheduleProfile() {
+    const name = document.getElementById('scheduleName').value.trim();
+    const enabled = document.getElementById('scheduleEnabled').checked;
+    const minutes = parseInt(document.getElementById('scheduleCountdown').value);
+
+    if (!name) {
+        alert('Please enter a schedule name');
+        return;
+    }
+
+    const profiles = settings.scheduleProfiles || [];
+    if (profiles.some((p, i) => p.name === name && i !== editingProfileIndex)) {
+        alert('A schedule with this name already exists');
+        return;
+    }
+
+    // Collect day/hour ranges
+    const ranges = [];
+    for (const row of document.querySelectorAll('#scheduleRanges .schedule-range')) {
+        const days = [...row.querySelectorAll('.schedule-days input:checked')].map(input => parseInt(input.value));
+        const start = fromTimeValue(row.querySelector('.schedule-start').value);
+        const end = fromTimeValue(row.querySelector('.schedule-end').value);
+
+        if (days.length === 0 || start === null || end === null || start === end) {
+            alert('Each time range needs at least one day and different start and end times');
+            return;
+        }
+        ranges.push({ days, start, end });
+    }
+
+    if (ranges.length === 0) {
+        alert('Please add at least one time range');
+        return;
+    }
+
+    if (enabled && (!minutes || minutes < 1 || minutes > 1440)) {
+        alert('Please enter a valid countdown between 1-1440 minutes');
+        return;
+    }
+
+    // Site overrides: "pattern minutes" per line
+    const perSiteTimeouts = [];
+    const lines = document.getElementById('scheduleSiteRules').value.split('\n');
+    for (const line of lines.map(l => l.trim()).filter(Boolean)) {
+        const [pattern, value] = line.split(/\s+/);
+        const siteMinutes = parseInt(value);
+        if (validateSitePattern(pattern) || !siteMinutes || siteMinutes < 1 || siteMinutes > 1440) {
+            alert(`Invalid site override "${line}" - use a domain and 1-1440 minutes, e.g. example.com 10`);
+            return;
+        }
+        perSiteTimeouts.push({ pattern, timeout: siteMinutes * 60 });
+    }
+
+    const profile = {
+        name,
+        ranges,
+        enabled,
+        globalCountdown: (minutes || Math.floor(settings.globalCountdown / 60)) * 60,
+        perSiteTimeouts
+    };
+
+    if (editingProfileIndex !== null) {
+        profiles[editingProfileIndex] = profile;
+    } else {
+        profiles.push(profile);
+    }
+    settings.scheduleProfiles = profiles;
+
+    await saveSettings(settings);
+    await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
+
+    hideScheduleProfileDialog();
+    renderScheduleProfiles();
+    updateExtensionStatus();
+}
+
+/**
+ * Remove schedule profile
+ * @param {number} index - Index of the profile to remove
+ */
+export async function removeScheduleProfile(index) {
+    settings.scheduleProfiles = settings.scheduleProfiles.filter((_, i) => i !== index);
+    await saveSettings(settings);
+    await chrome.runtime.sendMessage({ type: 'settingsUpdated' });
+    renderScheduleProfiles();
+    updateExtensionStatus();
+}
+
+// ============================================================================
+// Keyboard Shortcuts
+// ============================================================================
+
+/**
+ * Render the extension's keyboard commands with their current key bindings
+ */
+export async function renderShortcuts() {
+    const listEl = document.getElementById('shortcutsList');
+
+    try {
+        const commands = (await chrome.commands.getAll()).filter(c => c.description);
+        listEl.innerHTML = commands.map(command => `
+            <div class="per-site-rule">
+                <div class="per-site-info">
+                    <div class="per-site-pattern">${escapeHtml(command.description)}</div>
+                </div>
+                <kbd class="shortcut-key ${command.shortcut ? '' : 'unset'}">${escapeHtml(command.shortcut || 'Not set')}</kbd>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading shortcuts:', error);
+        listEl.innerHTML = '<div class="empty-message">Shortcuts unavailable</div>';
+    }
+}
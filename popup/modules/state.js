@@ -16,6 +16,8 @@ export let groupByWindow = true; // Always show window groups
 export let searchQuery = '';
 export let editMode = false; // Edit mode for showing checkboxes
 export let quitConfirmMode = false; // Quit all confirmation mode
+export let pauseState = null; // Timed pause from background: { since, until } or null
+export let protectedScopes = { groups: [], windows: [] }; // Protected group and window IDs from background
 
 // Selection state
 export let selectedTabIds = new Set();
@@ -72,6 +74,14 @@ export function setQuitConfirmMode(mode) {
     quitConfirmMode = mode;
 }
 
+export function setPauseState(state) {
+    pauseState = state;
+}
+
+export function setProtectedScopes(scopes) {
+    protectedScopes = scopes;
+}
+
 export function setSelectedTabIds(ids) {
     selectedTabIds = ids;
 }
@@ -4,12 +4,13 @@
  */
 
 import {
-    currentTab, allTabs, tabGroups, tabStates, settings,
+    currentTab, allTabs, tabGroups, settings, protectedScopes,
     groupByWindow, searchQuery, quitConfirmMode, editMode,
     selectedTabIds, addSelectedTabId, deleteSelectedTabId,
     setAllTabs, setTabGroups
 } from './state.js';
-import { escapeHtml, formatTime, isSpecialTab } from './utils.js';
+import { escapeHtml, formatExplanation, getCountdownDisplay, isQuitTarget } from './utils.js';
+import { getGroupRule } from '../../utils/storage.js';
 import { initializeSortable } from './dragDrop.js';
 import { showContextMenu } from './contextMenu.js';
 import { updateBatchActionsBar } from './batchActions.js';
@@ -66,7 +67,10 @@ export function renderTabsList() {
         );
     });
 
-    countEl.textContent = filteredTabs.length;
+    // Show "32 / 40" against the tab limit (plain count while searching)
+    countEl.textContent = settings.maxTabs && !searchQuery
+        ? `${filteredTabs.length} / ${settings.maxTabs}`
+        : filteredTabs.length;
 
     if (filteredTabs.length === 0) {
         listEl.innerHTML = '<div class="empty">No tabs found</div>';
@@ -112,6 +116,7 @@ export function renderGroupedTabs(tabs) {
         html += `<div class="tab-row window-header-row" data-window-id="${windowId}">
           <div class="window-group-header">
             🪟 ${shortWindowTitle} (${windowTabs.length})
+            ${renderScopeShield('window', parseInt(windowId))}
           </div>
         </div>`;
 
@@ -147,6 +152,8 @@ export function renderGroupedTabs(tabs) {
                   <div class="tab-group-header-inline" data-color="${groupColor}">
                     <span class="group-indicator-small" style="background-color: var(--group-${groupColor});"></span>
                     <span class="group-title-small">${escapeHtml(groupTitle)}</span>
+                    ${renderScopeShield('group', section.groupId)}
+                    ${renderGroupRuleBadge(groupInfo?.title)}
                   </div>
                 </div>`;
 
@@ -198,6 +205,8 @@ export function renderGroupsByTabGroups(tabs) {
                     <div class="group-header-item" data-color="${groupColor}">
                         <span class="group-indicator" style="background-color: var(--group-${groupColor});"></span>
                         <span class="group-title">${escapeHtml(groupTitle)}</span>
+                        ${renderScopeShield('group', tabGroupId)}
+                        ${renderGroupRuleBadge(groupInfo?.title)}
                     </div>
                 </div>
             `;
@@ -214,6 +223,33 @@ export function renderGroupsByTabGroups(tabs) {
     initializeSortable();
 }
 
+/**
+ * Render the timeout rule that applies to a group, for its header
+ * @param {string|undefined} groupTitle - Group title
+ * @returns {string} HTML string for the badge (empty if no rule applies)
+ */
+export function renderGroupRuleBadge(groupTitle) {
+    const rule = getGroupRule(groupTitle, settings);
+    if (!rule) return '';
+
+    const label = rule.timeout === null ? 'Never closes' : `${Math.floor(rule.timeout / 60)} min`;
+    return `<span class="group-rule-badge" title="Group timeout rule">${label}</span>`;
+}
+
+/**
+ * Render a shield for a protected group or window, for its header
+ * @param {'group'|'window'} scope - Header type
+ * @param {number} id - Group or window ID
+ * @returns {string} HTML string for the shield (empty if not protected)
+ */
+export function renderScopeShield(scope, id) {
+    const ids = scope === 'group' ? protectedScopes.groups : protectedScopes.windows;
+    if (!ids.includes(id)) return '';
+
+    const title = scope === 'group' ? 'Group is protected' : 'Window is protected';
+    return `<span class="scope-shield" title="${title}"><svg width="11" height="11"><use href="#icon-shield-filled"/></svg></span>`;
+}
+
 /**
  * Render tabs in flat list (no grouping)
  * @param {chrome.tabs.Tab[]} tabs - Tabs to render
@@ -235,7 +271,6 @@ export function renderFlatTabs(tabs) {
  * @returns {string} HTML string for the tab item
  */
 export function renderTabItem(tab, groupColor = null) {
-    const state = tabStates[tab.id];
     const isActive = currentTab && tab.id === currentTab.id;
 
     let favicon = '<svg width="16" height="16" style="opacity: 0.3;"><use href="#icon-globe"/></svg>';
@@ -243,39 +278,7 @@ export function renderTabItem(tab, groupColor = null) {
         favicon = `<img src="${tab.favIconUrl}" alt="">`;
     }
 
-    let countdown = '—';
-    let countdownLabel = '';
-    let countdownClass = '';
-
-    // Show dash when extension is disabled
-    if (!settings.enabled) {
-        countdown = '—';
-        countdownLabel = '';
-        countdownClass = '';
-    } else if (state) {
-        // Check if tab is protected (explicit, media, pinned, or special with setting disabled)
-        const isPinnedProtected = tab.pinned && !settings.autoClosePinned;
-        const isSpecialProtected = isSpecialTab(tab) && !settings.autoCloseSpecial;
-        const isMediaProtected = state.hasMedia && settings.pauseOnMedia;
-
-        if (state.protected || isMediaProtected || isPinnedProtected || isSpecialProtected) {
-            // Tab is protected - show shield with label (vertical stack)
-            let label = 'Protected';
-            if (isSpecialProtected) label = 'Special';
-            else if (isPinnedProtected) label = 'Pinned';
-            else if (isMediaProtected) label = 'Media';
-            countdown = '<svg width="14" height="14" class="shield-icon"><use href="#icon-shield-filled"/></svg><span>' + label + '</span>';
-            countdownLabel = '';
-            countdownClass = 'protected';
-        } else {
-            // Regular countdown - time with LEFT label
-            countdown = '<span class="time-value">' + formatTime(state.countdown) + '</span><span>Left</span>';
-            countdownLabel = '';
-            if (state.countdown > 180) countdownClass = 'high';
-            else if (state.countdown > 60) countdownClass = 'medium';
-            else countdownClass = 'low';
-        }
-    }
+    const { html: countdown, className: countdownClass } = getCountdownDisplay(tab);
 
     const badges = [];
     // Protected/Media status is shown via shield icon in countdown, no badge needed
@@ -302,15 +305,8 @@ export function renderTabItem(tab, groupColor = null) {
 
     // Determine if this tab would be closed in quit confirm mode
     let quitTargetClass = '';
-    if (quitConfirmMode && !isActive && settings.enabled) {
-        const isPinnedProtected = tab.pinned && !settings.autoClosePinned;
-        const isSpecialProtected = isSpecialTab(tab) && !settings.autoCloseSpecial;
-        const isMediaProtected = state?.hasMedia && settings.pauseOnMedia;
-        const isProtected = state?.protected || isPinnedProtected || isSpecialProtected || isMediaProtected;
-        const hasCountdown = state?.countdown !== null && state?.countdown !== undefined;
-        if (!isProtected && hasCountdown) {
-            quitTargetClass = 'quit-target';
-        }
+    if (quitConfirmMode && !isActive && settings.enabled && isQuitTarget(tab)) {
+        quitTargetClass = 'quit-target';
     }
 
     // Check if tab is selected in edit mode
@@ -326,7 +322,6 @@ export function renderTabItem(tab, groupColor = null) {
         </div>
         <div class="countdown ${countdownClass}">
           <span class="countdown-time">${countdown}</span>
-          ${countdownLabel ? `<span class="countdown-label">${countdownLabel}</span>` : ''}
         </div>
         ${badges.length > 0 ? '<div class="badges">' + badges.join('') + '</div>' : ''}
         <button class="tab-close-btn" data-tab-id="${tab.id}" title="Close tab">×</button>
@@ -335,6 +330,49 @@ export function renderTabItem(tab, groupColor = null) {
   `;
 }
 
+// ============================================================================
+// Countdown Tooltip
+// ============================================================================
+
+let tooltipTabId = null; // Tab whose countdown is hovered (null = none)
+
+/**
+ * Show why (and when) a tab will close next to its countdown. A custom tooltip
+ * rather than a title, so it can appear once the background's answer arrives
+ * @param {HTMLElement} anchor - Countdown element being hovered
+ * @param {number} tabId - Tab to explain
+ */
+async function showCountdownTooltip(anchor, tabId) {
+    tooltipTabId = tabId;
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'explainTab', tabId });
+        // The pointer left (or moved on to another countdown) meanwhile
+        if (tooltipTabId !== tabId || !response?.success) return;
+
+        const tooltip = document.getElementById('countdownTooltip');
+        tooltip.textContent = formatExplanation(response.data);
+        tooltip.style.display = 'block';
+
+        // Below the countdown and right-aligned with it, or above it near the bottom
+        const rect = anchor.getBoundingClientRect();
+        tooltip.style.right = `${Math.max(4, document.documentElement.clientWidth - rect.right)}px`;
+        const below = rect.bottom + 4;
+        tooltip.style.top = below + tooltip.offsetHeight > window.innerHeight
+            ? `${Math.max(4, rect.top - tooltip.offsetHeight - 4)}px`
+            : `${below}px`;
+    } catch (error) {
+        console.error('Error explaining tab:', error);
+    }
+}
+
+/**
+ * Hide the countdown tooltip
+ */
+function hideCountdownTooltip() {
+    tooltipTabId = null;
+    document.getElementById('countdownTooltip').style.display = 'none';
+}
+
 // ============================================================================
 // Event Listeners
 // ============================================================================
@@ -343,6 +381,9 @@ export function renderTabItem(tab, groupColor = null) {
  * Attach click listeners to tab items
  */
 export function attachTabClickListeners() {
+    // The list was re-rendered, so the hovered countdown may be gone
+    hideCountdownTooltip();
+
     // Attach tab item click handlers
     document.querySelectorAll('.tab-item').forEach(item => {
         const tabId = parseInt(item.dataset.tabId);
@@ -378,6 +419,11 @@ export function attachTabClickListeners() {
             showContextMenu(e.clientX, e.clientY, 'tab', tabId, e);
         });
 
+        // Hover on countdown - explain why (and when) this tab will close
+        const countdownEl = item.querySelector('.countdown');
+        countdownEl?.addEventListener('mouseenter', () => showCountdownTooltip(countdownEl, tabId));
+        countdownEl?.addEventListener('mouseleave', hideCountdownTooltip);
+
         // Sortable.js will handle drag and drop now
     });
 
@@ -0,0 +1,93 @@
+/**
+ * Undo Module
+ * Undo toast for batch closes (Quit All, closing a selection, group or window)
+ */
+
+import { loadAllTabs } from './tabs.js';
+import { refreshTabStates } from './currentTab.js';
+
+const UNDO_TOAST_MS = 8000; // How long the undo toast stays up
+const MESSAGE_TOAST_MS = 3000; // How long a plain message stays up
+
+let hideTimer = null;
+
+/**
+ * Close tabs as one undoable batch: the background notes where each tab is first,
+ * then an undo toast is shown for the tabs that actually closed
+ * @param {number[]} tabIds - Tabs the close will remove
+ * @param {Function} close - Async function that closes them
+ */
+export async function closeWithUndo(tabIds, close) {
+    if (tabIds.length === 0) return;
+
+    await chrome.runtime.sendMessage({ type: 'recordCloseBatch', tabIds });
+    await close();
+
+    // Some may stay open, e.g. a window's last tab with "keep last tab"
+    const openTabIds = new Set((await chrome.tabs.query({})).map(t => t.id));
+    const closedCount = tabIds.filter(id => !openTabIds.has(id)).length;
+    if (closedCount > 0) showUndoToast(closedCount);
+}
+
+/**
+ * Show the undo toast for a batch close
+ * @param {number} count - Number of tabs closed
+ */
+function showUndoToast(count) {
+    const undoBtn = document.getElementById('undoToastBtn');
+    undoBtn.textContent = `Undo (${count} ${count === 1 ? 'tab' : 'tabs'})`;
+    undoBtn.style.display = '';
+    showToast(`Closed ${count} ${count === 1 ? 'tab' : 'tabs'}`, UNDO_TOAST_MS);
+}
+
+/**
+ * Show a message in the toast, without the undo button
+ * @param {string} text - Message to show
+ */
+function showToastMessage(text) {
+    document.getElementById('undoToastBtn').style.display = 'none';
+    showToast(text, MESSAGE_TOAST_MS);
+}
+
+/**
+ * Show the toast and hide it again after a while
+ * @param {string} text - Toast text
+ * @param {number} duration - Milliseconds before it hides
+ */
+function showToast(text, duration) {
+    document.getElementById('undoToastText').textContent = text;
+    document.getElementById('undoToast').style.display = 'flex';
+
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(hideUndoToast, duration);
+}
+
+/**
+ * Hide the undo toast
+ */
+function hideUndoToast() {
+    clearTimeout(hideTimer);
+    document.getElementById('undoToast').style.display = 'none';
+}
+
+/**
+ * Setup the undo toast button
+ */
+export function setupUndoToast() {
+    document.getElementById('undoToastBtn').addEventListener('click', async () => {
+        hideUndoToast();
+        const response = await chrome.runtime.sendMessage({ type: 'undoCloseBatch' });
+        if (!response?.success) {
+            console.error('Failed to undo close:', response?.error);
+            showToastMessage('Undo failed');
+            return;
+        }
+        if (response.data === 0) {
+            // Already undone, or the batch was lost (e.g. the browser restarted)
+            showToastMessage('Nothing to undo');
+            return;
+        }
+        await loadAllTabs();
+        await refreshTabStates();
+    });
+}
@@ -3,7 +3,9 @@
  * Common utility functions used across multiple modules
  */
 
-import { settings } from './state.js';
+import { settings, pauseState, tabStates, currentTab, protectedScopes } from './state.js';
+import { getActiveProfile } from '../../utils/storage.js';
+import { isSpecialUrl, getCloseStatus, getRemainingSeconds } from '../../utils/eligibility.js';
 
 // ============================================================================
 // Time Formatting
@@ -21,6 +23,71 @@ export function formatTime(seconds) {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Format the time left on a timed protection, e.g. "1h 59m" or "42:10"
+ * @param {number} until - Timestamp the protection runs out
+ * @returns {string} Formatted time left
+ */
+export function formatProtectionLeft(until) {
+    const seconds = Math.max(0, Math.round((until - Date.now()) / 1000));
+    if (seconds < 3600) return formatTime(seconds);
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+/**
+ * Current time for countdown math - stops at the start of a timed pause,
+ * matching the background which resumes countdowns from there
+ * @returns {number} Timestamp to measure elapsed inactive time against
+ */
+export function getCountdownNow() {
+    return pauseState ? Math.min(Date.now(), pauseState.since) : Date.now();
+}
+
+// ============================================================================
+// Snooze Options
+// ============================================================================
+
+/**
+ * Snooze durations offered in the popup menus ('until' asks for a clock time)
+ * @type {Array<{label: string, value: string}>}
+ */
+export const SNOOZE_OPTIONS = [
+    { label: '15 min', value: '900' },
+    { label: '1 hour', value: '3600' },
+    { label: '3 hours', value: '10800' },
+    { label: 'Until…', value: 'until' }
+];
+
+/**
+ * Timed protection lengths offered in the popup menus ('endOfDay' = until midnight)
+ * @type {Array<{label: string, value: string}>}
+ */
+export const PROTECT_FOR_OPTIONS = [
+    { label: '2 hours', value: '7200' },
+    { label: 'Until end of day', value: 'endOfDay' }
+];
+
+/**
+ * Parse a clock time like "17:30" into the next matching timestamp
+ * @param {string} text - Time in HH:MM (24-hour) format
+ * @returns {number|null} Timestamp today, or tomorrow if already past; null if invalid
+ */
+export function parseClockTime(text) {
+    const match = /^\s*(\d{1,2}):(\d{2})\s*$/.exec(text || '');
+    if (!match) return null;
+
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+
+    const target = new Date();
+    target.setHours(hours, minutes, 0, 0);
+    if (target.getTime() <= Date.now()) {
+        target.setDate(target.getDate() + 1);
+    }
+    return target.getTime();
+}
+
 // ============================================================================
 // HTML Utilities
 // ============================================================================
@@ -46,13 +113,173 @@ export function escapeHtml(text) {
  * @returns {boolean} True if tab is special
  */
 export function isSpecialTab(tab) {
-    if (!tab.url) return true;
-    const url = tab.url.toLowerCase();
-    return url.startsWith('chrome://') ||
-        url.startsWith('chrome-extension://') ||
-        url.startsWith('about:') ||
-        url.startsWith('edge://') ||
-        url === 'chrome://newtab/';
+    return isSpecialUrl(tab.url);
+}
+
+/**
+ * Close status of a tab as the background sees it (see utils/eligibility.js)
+ * @param {chrome.tabs.Tab} tab - Tab to check
+ * @param {boolean} [manual=false] - Closing by hand, ignoring pause and schedules
+ * @returns {{status: string, reason: string|null}|null} null when the tab isn't tracked yet
+ */
+export function getTabCloseStatus(tab, manual = false) {
+    return getCloseStatus(tab, tabStates[tab.id], settings, {
+        // The popup belongs to the focused window
+        focusedWindowId: currentTab?.windowId ?? null,
+        paused: pauseState !== null,
+        protectedScopes,
+        manual
+    });
+}
+
+/**
+ * Check if Quit All would close a tab - anything not protected or active
+ * @param {chrome.tabs.Tab} tab - Tab to check
+ * @returns {boolean} True if the tab is a Quit All target
+ */
+export function isQuitTarget(tab) {
+    return getTabCloseStatus(tab, true)?.status === 'counting';
+}
+
+// ============================================================================
+// Countdown Display
+// ============================================================================
+
+const PROTECTED_LABELS = {
+    special: 'Special',
+    pinned: 'Pinned',
+    media: 'Media',
+    protected: 'Protected',
+    group: 'Group',
+    window: 'Window',
+    newtab: 'New tab'
+};
+
+/**
+ * Countdown cell contents for a tab in the list, derived from its close status
+ * @param {chrome.tabs.Tab} tab - Tab to display
+ * @returns {{html: string, className: string}} Inner HTML and modifier class for .countdown
+ */
+export function getCountdownDisplay(tab) {
+    const closeStatus = getTabCloseStatus(tab);
+
+    // Untracked tab, or extension disabled - show dash
+    if (!closeStatus || closeStatus.reason === 'disabled') {
+        return { html: '—', className: '' };
+    }
+
+    const { status, reason } = closeStatus;
+    const state = tabStates[tab.id];
+
+    if (status === 'protected' && reason === 'never') {
+        // Never closes (e.g. a group rule set to never) - infinity with NEVER label
+        return { html: '<span class="time-value">∞</span><span>Never</span>', className: 'excluded' };
+    }
+    if (status === 'protected') {
+        // Protected - shield with the reason, or the time left on a timed protection (vertical stack)
+        const label = reason === 'protected' && state.protectedUntil
+            ? formatProtectionLeft(state.protectedUntil)
+            : PROTECTED_LABELS[reason];
+        return {
+            html: '<svg width="14" height="14" class="shield-icon"><use href="#icon-shield-filled"/></svg><span>' + label + '</span>',
+            className: 'protected'
+        };
+    }
+    if (status === 'active') {
+        // Active - eye icon with Active text (vertical stack)
+        return {
+            html: '<svg width="14" height="14" class="active-icon"><use href="#icon-eye"/></svg><span>Active</span>',
+            className: 'active'
+        };
+    }
+    if (reason === 'schedule') {
+        // Schedule profile has auto-close off - nothing counts down
+        return { html: '<span class="time-value">—</span><span>Off</span>', className: 'excluded' };
+    }
+
+    const remaining = getRemainingSeconds(state, getCountdownNow());
+    const timeValue = '<span class="time-value">' + formatTime(remaining) + '</span>';
+
+    if (status === 'paused') {
+        // Timed pause - time frozen where it stopped
+        return { html: timeValue + '<span>Paused</span>', className: 'excluded' };
+    }
+    if (state.stage === 'sleeping') {
+        // Discarded tab - time until it is closed with SLEEPING label
+        return { html: timeValue + '<span>Sleeping</span>', className: 'sleeping' };
+    }
+
+    // Regular countdown - time with LEFT label (SNOOZED while a snooze extension lasts)
+    const label = state.snoozedUntil > Date.now() ? 'Snoozed' : 'Left';
+    let className = 'low';
+    if (remaining > 180) className = 'high';
+    else if (remaining > 60) className = 'medium';
+    return { html: timeValue + '<span>' + label + '</span>', className };
+}
+
+// ============================================================================
+// Timeout Explanations
+// ============================================================================
+
+const SITE_MATCH_LABELS = { host: 'host', url: 'URL pattern', regex: 'regex' };
+
+/**
+ * Format a rule timeout for explanations, e.g. "30 min" or "1h 30m"
+ * @param {number|null} seconds - Timeout in seconds (null = never closes)
+ * @returns {string} Human readable timeout
+ */
+export function formatTimeout(seconds) {
+    if (seconds === null) return 'Never';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    const rest = minutes % 60;
+    return rest ? `${Math.floor(minutes / 60)}h ${rest}m` : `${minutes / 60}h`;
+}
+
+/**
+ * Describe where a timeout comes from
+ * @param {Object} explanation - Result of the background's explainTab message
+ * @returns {string} e.g. 'Site rule "github.com" (host)'
+ */
+export function formatTimeoutSource(explanation) {
+    const { source, rule, profile } = explanation;
+    if (source === 'group') return `Group rule "${rule.title}"`;
+    if (source === 'site') {
+        const type = SITE_MATCH_LABELS[rule.matchType || 'host'];
+        return `Site rule "${rule.pattern}" (${type})`;
+    }
+    if (source === 'profile') return `Schedule "${profile}" countdown`;
+    return 'Global countdown';
+}
+
+/**
+ * Turn an explainTab result into multi-line text for tooltips and the rule tester
+ * @param {Object} explanation - Result of the background's explainTab message
+ * @returns {string} Explanation, one fact per line
+ */
+export function formatExplanation(explanation) {
+    const lines = [
+        `Timeout: ${formatTimeout(explanation.timeout)} · ${formatTimeoutSource(explanation)}`
+    ];
+
+    if (explanation.profile && explanation.source !== 'profile') {
+        lines.push(`Schedule in effect: ${explanation.profile}`);
+    }
+    if (explanation.snoozeSeconds > 0) {
+        lines.push(`Snoozed: +${formatTimeout(explanation.snoozeSeconds)}`);
+    }
+    if (explanation.stage === 'sleeping') {
+        lines.push('Sleeping: closes when the sleep timer runs out');
+    }
+
+    if (explanation.exemptions.length > 0) {
+        lines.push('Kept open: ' + explanation.exemptions.map(e => e.label).join(', '));
+    } else if (explanation.stage !== null) {
+        // Only tracked tabs count down; plain URLs from the rule tester don't
+        lines.push('Counting down');
+    }
+
+    return lines.join('\n');
 }
 
 // ============================================================================
@@ -60,17 +287,32 @@ export function isSpecialTab(tab) {
 // ============================================================================
 
 /**
- * Update extension status indicator in footer
+ * Update extension status indicator in footer (including the active schedule profile)
+ * and the dry-run banner
  */
 export function updateExtensionStatus() {
     const statusIndicator = document.getElementById('statusIndicator');
     const statusText = document.getElementById('statusText');
+    const profile = settings.enabled ? getActiveProfile(settings) : null;
 
-    if (settings.enabled) {
+    if (settings.enabled && pauseState) {
+        // Timed pause - show how long is left
+        const secondsLeft = Math.max(0, Math.ceil((pauseState.until - Date.now()) / 1000));
+        statusIndicator.className = 'status-indicator paused';
+        statusText.textContent = secondsLeft >= 3600
+            ? `Paused · ${Math.floor(secondsLeft / 3600)}h ${Math.floor((secondsLeft % 3600) / 60)}m left`
+            : `Paused · ${formatTime(secondsLeft)} left`;
+    } else if (profile && !profile.enabled) {
+        // Schedule turns auto-close off right now
+        statusIndicator.className = 'status-indicator scheduled-off';
+        statusText.textContent = `Off · ${profile.name}`;
+    } else if (settings.enabled) {
         statusIndicator.className = 'status-indicator active';
-        statusText.textContent = 'Active';
+        statusText.textContent = profile ? `Active · ${profile.name}` : 'Active';
     } else {
         statusIndicator.className = 'status-indicator disabled';
         statusText.textContent = 'Disabled';
     }
+
+    document.getElementById('dryRunBanner').style.display = settings.dryRun ? 'flex' : 'none';
 }
@@ -13,8 +13,8 @@ import { loadAllTabs, renderTabsList } from './modules/tabs.js';
 import {
     updateCurrentTab, updateCountdowns, refreshTabStates
 } from './modules/currentTab.js';
-import { updateExtensionStatus } from './modules/utils.js';
 import { setupEventListeners } from './modules/events.js';
+import { refreshPauseState } from './modules/pause.js';
 import { applyTheme } from './modules/settings.js';
 
 // ============================================================================
@@ -39,15 +39,15 @@ async function init() {
 
         await refreshTabStates();
 
+        // Load timed pause state (frozen countdowns + header button)
+        await refreshPauseState();
+
         // Load all tabs
         await loadAllTabs();
 
         // Update current tab display
         updateCurrentTab();
 
-        // Update extension status in footer
-        updateExtensionStatus();
-
         // Set up event listeners
         setupEventListeners();
 
@@ -98,6 +98,8 @@ async function init() {
         chrome.runtime.onMessage.addListener((message) => {
             if (message.type === 'stateUpdated') {
                 refreshTabStates();
+                // The pause or schedule profile may have changed
+                refreshPauseState();
             }
         });
     } catch (error) {
@@ -0,0 +1,141 @@
+/**
+ * Close Eligibility Utility
+ * Decides whether a tab is counting down to close, and if not, why.
+ * The background worker and the popup both use it, so the popup never
+ * shows a status the worker doesn't act on.
+ */
+
+import { getEffectiveSettings } from './storage.js';
+
+// URL prefixes of browser pages (settings, new tab, extensions, ...)
+const SPECIAL_URL_PREFIXES = [
+    'chrome://',
+    'chrome-extension://',
+    'about:',
+    'edge://',
+    'brave://',
+    'opera://',
+    'vivaldi://',
+    'devtools://',
+    'view-source:'
+];
+
+/**
+ * Check if a URL is a special browser page (chrome://, brave://, extension, etc.)
+ * @param {string} url - The URL to check
+ * @returns {boolean} True for special pages and tabs without a URL yet
+ */
+export function isSpecialUrl(url) {
+    if (!url) return true;
+    const lowerUrl = url.toLowerCase();
+    return SPECIAL_URL_PREFIXES.some(prefix => lowerUrl.startsWith(prefix));
+}
+
+/**
+ * Check if a tab is a window's placeholder: the browser's new tab page as the
+ * window's active tab, e.g. the one the "leave a new tab" last-tab setting opens.
+ * Closing it would only have it replaced again, so it never counts down
+ * @param {chrome.tabs.Tab} tab - Tab to check
+ * @returns {boolean} True for an active new tab page
+ */
+export function isPlaceholderNewTab(tab) {
+    if (!tab.active || !tab.url) return false;
+    return /^(chrome|edge|brave|vivaldi|opera):\/\/newtab\/?$|^about:newtab$/i.test(tab.url);
+}
+
+/**
+ * Check if a tab is the one the user is looking at - the active tab of the
+ * focused window in focused-window-only mode, otherwise any window's active tab
+ * @param {chrome.tabs.Tab} tab - Tab to check
+ * @param {Object} settings - Settings object
+ * @param {number|null} focusedWindowId - Currently focused window, if known
+ * @returns {boolean} True if the tab's countdown is held
+ */
+export function isFocusedActiveTab(tab, settings, focusedWindowId = null) {
+    if (!tab.active) return false;
+    if (!settings.focusedWindowOnly || !focusedWindowId) return true;
+    return tab.windowId === focusedWindowId;
+}
+
+/**
+ * Check if a tab is in a protected group or window
+ * @param {chrome.tabs.Tab} tab - Tab to check
+ * @param {{groups: number[], windows: number[]}|null} protectedScopes - Protected group and window IDs
+ * @returns {'group'|'window'|null} Which protection covers the tab, if any
+ */
+export function getProtectedScope(tab, protectedScopes) {
+    if (!protectedScopes) return null;
+    if (tab.groupId !== undefined && tab.groupId !== -1 && protectedScopes.groups.includes(tab.groupId)) return 'group';
+    if (protectedScopes.windows.includes(tab.windowId)) return 'window';
+    return null;
+}
+
+/**
+ * Seconds left on a tab's countdown
+ * @param {Object} state - The tab's state from the background
+ * @param {number} now - Timestamp to measure elapsed inactive time against
+ * @returns {number} Remaining seconds (never below 0)
+ */
+export function getRemainingSeconds(state, now = Date.now()) {
+    const total = state.initialCountdown || state.countdown;
+    if (state.lastActiveTime === null) return total;
+    const inactiveTime = Math.max(0, Math.floor((now - state.lastActiveTime) / 1000));
+    return Math.max(0, total - inactiveTime);
+}
+
+/**
+ * Work out whether a tab is counting down to close, and if not, why.
+ * Checked in this order:
+ *
+ * - paused: auto-close is off - reason 'disabled' or 'schedule' (profile
+ *   turns auto-close off)
+ * - protected: this tab never closes - reason 'special', 'pinned', 'media',
+ *   'protected', 'group' / 'window' (its group or window is protected),
+ *   'newtab' (a window's active new tab page) or 'never' (a rule with no timeout)
+ * - active: the user is on this tab (or hasn't left it yet)
+ * - paused: the countdown is frozen - reason 'paused' (timed pause) or 'idle'
+ * - counting: the countdown is running
+ *
+ * @param {chrome.tabs.Tab} tab - The tab
+ * @param {Object|undefined} state - The tab's state from the background
+ * @param {Object} settings - Settings object
+ * @param {Object} [context] - What the caller knows about the browser
+ * @param {number|null} [context.focusedWindowId] - Currently focused window
+ * @param {boolean} [context.paused] - A timed pause is running
+ * @param {boolean} [context.idle] - The computer is idle or locked
+ * @param {{groups: number[], windows: number[]}} [context.protectedScopes] - Protected groups and windows
+ * @param {boolean} [context.manual] - Closing by hand (Quit All): auto-close being
+ *   off, paused or idle doesn't matter, only the tab's own exemptions do
+ * @returns {{status: 'counting'|'active'|'protected'|'paused', reason: string|null}|null}
+ *   null when the tab isn't tracked yet
+ */
+export function getCloseStatus(tab, state, settings, context = {}) {
+    const { focusedWindowId = null, paused = false, idle = false, manual = false, protectedScopes = null } = context;
+
+    if (!manual) {
+        if (!settings.enabled) return { status: 'paused', reason: 'disabled' };
+        if (!getEffectiveSettings(settings).enabled) return { status: 'paused', reason: 'schedule' };
+    }
+
+    // Special tabs are never tracked unless Auto-close Special is on
+    if (isSpecialUrl(tab.url) && !settings.autoCloseSpecial) return { status: 'protected', reason: 'special' };
+    if (!state) return null;
+
+    if (tab.pinned && !settings.autoClosePinned) return { status: 'protected', reason: 'pinned' };
+    if (state.hasMedia && settings.pauseOnMedia) return { status: 'protected', reason: 'media' };
+    if (state.protected) return { status: 'protected', reason: 'protected' };
+    const scope = getProtectedScope(tab, protectedScopes);
+    if (scope) return { status: 'protected', reason: scope };
+    if (isPlaceholderNewTab(tab)) return { status: 'protected', reason: 'newtab' };
+    if (state.countdown === null) return { status: 'protected', reason: 'never' };
+
+    // Countdown hasn't started (tab never left) or the user is on it right now
+    if (state.lastActiveTime === null || isFocusedActiveTab(tab, settings, focusedWindowId)) {
+        return { status: 'active', reason: null };
+    }
+
+    if (!manual && paused) return { status: 'paused', reason: 'paused' };
+    if (!manual && idle) return { status: 'paused', reason: 'idle' };
+
+    return { status: 'counting', reason: null };
+}
@@ -6,8 +6,28 @@ const DEFAULT_SETTINGS = {
   autoCloseSpecial: true, // Special tabs: extensions, new tab, chrome:// pages
   pauseOnMedia: true,
   focusedWindowOnly: true, // Only active tab in focused window is truly active
+  pauseOnIdle: true, // Freeze countdowns while the machine is idle or locked
+  idleThreshold: 300, // Seconds without input before the machine counts as idle
+  sleepBeforeClose: false, // Discard (unload) expired tabs first, close them after sleepCountdown
+  sleepCountdown: 1800, // Seconds a discarded tab sleeps before it is closed
+  warnBeforeClose: false, // Show a notification with Keep / Snooze actions before closing
+  warningSeconds: 60, // How long before closing the warning is shown
+  maxTabs: 0, // Close least-recently-used tabs above this many open tabs (0 = no limit)
+  maxTabsPerWindow: 0, // Same cap per window (0 = no limit)
+  lastTabBehavior: 'closeWindow', // Closing a window's last tab: 'closeWindow' | 'newTab' (leave a new tab page) | 'keep' | 'minimize'
+  dryRun: false, // Log the tabs auto-close would close instead of closing them
+  badgeMode: 'count', // Toolbar badge: 'count' (tabs closing within 5 min) | 'next' (time to next close) | 'off'
   historyRetentionDays: 7, // Keep history for 7 days
-  perSiteTimeouts: [], // Array of { pattern: string, timeout: number (seconds) }
+  // Array of { pattern: string, matchType?: 'host' | 'url' | 'regex' (default 'host'),
+  //            timeout: number|null (seconds, null = never close), sleepTimeout?: number (seconds) }
+  perSiteTimeouts: [],
+  groupTimeouts: [], // Array of { title: string (tab group title), timeout: number|null (seconds, null = never close) }
+  // Always-protect list: array of { pattern, matchType: 'exact' (full URL) | 'host' | 'url' } -
+  // matching tabs are protected when opened, when they navigate there and after a restart
+  protectedSites: [],
+  // Array of { name, ranges: [{ days: number[] (0 = Sunday), start, end (minutes after midnight) }],
+  //            enabled, globalCountdown (seconds), perSiteTimeouts } - first profile in effect wins
+  scheduleProfiles: [],
   theme: 'system' // 'system' | 'light' | 'dark'
 };
 
@@ -99,39 +119,58 @@ export async function saveHistory(history) {
  * @param {string} entry.url - Tab URL
  * @param {string} entry.title - Tab title
  * @param {string} entry.favicon - Tab favicon URL
- * @param {string} entry.closeReason - Close reason: 'manual_browser', 'manual_quit', 'timeout', 'batch_close'
+ * @param {string} entry.closeReason - Close reason: 'manual_browser', 'manual_quit', 'timeout', 'batch_close', 'tab_limit'
  * @param {number} entry.windowId - Window ID
- * @param {number} entry.groupId - Tab group ID
+ * @param {number} entry.groupId - Tab group ID (only meaningful until the browser restarts)
+ * @param {number} [entry.index] - Position of the tab in its window
+ * @param {boolean} [entry.pinned] - Whether the tab was pinned
+ * @param {Object} [entry.group] - The tab's group as { title, color }, to rejoin or recreate it on restore
+ * @param {boolean} [entry.protected] - Whether the tab was protected
  * @returns {Promise<void>}
  */
 export async function addHistoryEntry(entry) {
   try {
-    const settings = await getSettings();
-    const history = await getHistory();
+    await appendLogEntry('history', entry);
+  } catch (error) {
+    console.error('Error adding history entry:', error);
+  }
+}
 
-    // Create new entry with timestamp and unique ID
-    const newEntry = {
-      id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      url: entry.url,
-      title: entry.title || 'Untitled',
-      favicon: entry.favicon || '',
-      closeReason: entry.closeReason,
-      timestamp: Date.now(),
-      windowId: entry.windowId || null,
-      groupId: entry.groupId || null
-    };
+/**
+ * Add an entry to a closed-tabs log, dropping entries past the retention period
+ * @param {string} key - Local storage key of the log
+ * @param {Object} entry - Entry fields (see addHistoryEntry)
+ * @param {Object} extra - Additional fields stored as-is
+ * @returns {Promise<void>}
+ */
+async function appendLogEntry(key, entry, extra = {}) {
+  const settings = await getSettings();
+  const result = await chrome.storage.local.get(key);
+  const log = result[key] || [];
 
-    // Add to beginning of array (most recent first)
-    history.unshift(newEntry);
+  // Create new entry with timestamp and unique ID
+  const newEntry = {
+    id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    url: entry.url,
+    title: entry.title || 'Untitled',
+    favicon: entry.favicon || '',
+    closeReason: entry.closeReason,
+    timestamp: Date.now(),
+    windowId: entry.windowId || null,
+    groupId: entry.groupId || null,
+    index: entry.index ?? null,
+    pinned: entry.pinned || false,
+    group: entry.group || null,
+    protected: entry.protected || false,
+    ...extra
+  };
 
-    // Clean up old entries (older than retention period)
-    const cutoffTime = Date.now() - (settings.historyRetentionDays * 24 * 60 * 60 * 1000);
-    const filteredHistory = history.filter(h => h.timestamp >= cutoffTime);
+  // Add to beginning of array (most recent first)
+  log.unshift(newEntry);
 
-    await saveHistory(filteredHistory);
-  } catch (error) {
-    console.error('Error adding history entry:', error);
-  }
+  // Clean up old entries (older than retention period)
+  const cutoffTime = Date.now() - (settings.historyRetentionDays * 24 * 60 * 60 * 1000);
+  await chrome.storage.local.set({ [key]: log.filter(h => h.timestamp >= cutoffTime) });
 }
 
 /**
@@ -146,42 +185,313 @@ export async function clearHistory() {
   }
 }
 
+/**
+ * Get the dry-run log of tabs auto-close would have closed
+ * @returns {Promise<Array>} Array of simulated close entries (history entries plus rule)
+ */
+export async function getSimulatedCloses() {
+  try {
+    const result = await chrome.storage.local.get('simulatedCloses');
+    return result.simulatedCloses || [];
+  } catch (error) {
+    console.error('Error loading simulated closes:', error);
+    return [];
+  }
+}
+
+/**
+ * Record a tab auto-close would have closed in dry-run mode
+ * @param {Object} entry - Same fields as addHistoryEntry, plus:
+ * @param {Object} entry.rule - What triggered it: { source, rule, profile, timeout, afterSleep }
+ *   as from resolveTimeout, or { source: 'limit', maxTabs, maxTabsPerWindow }
+ * @returns {Promise<void>}
+ */
+export async function addSimulatedClose(entry) {
+  try {
+    await appendLogEntry('simulatedCloses', entry, { rule: entry.rule || null });
+  } catch (error) {
+    console.error('Error adding simulated close:', error);
+  }
+}
+
+/**
+ * Clear the dry-run log
+ * @returns {Promise<void>}
+ */
+export async function clearSimulatedCloses() {
+  try {
+    await chrome.storage.local.set({ simulatedCloses: [] });
+  } catch (error) {
+    console.error('Error clearing simulated closes:', error);
+  }
+}
+
+/**
+ * Get saved sessions from local storage
+ * @returns {Promise<Array>} Array of sessions, newest first
+ */
+export async function getSessions() {
+  try {
+    const result = await chrome.storage.local.get('sessions');
+    return result.sessions || [];
+  } catch (error) {
+    console.error('Error loading sessions:', error);
+    return [];
+  }
+}
+
+/**
+ * Save a named session
+ * @param {Object} session - Session to save
+ * @param {string} session.name - Name shown in the Sessions panel
+ * @param {Array} session.tabs - Tabs in order: { url, title, favicon, pinned, group }
+ *   where group is an index into session.groups, or null
+ * @param {Array} session.groups - Tab groups: { title, color }
+ * @returns {Promise<Object|null>} The stored session (with id and createdAt), or null on failure
+ */
+export async function saveSession(session) {
+  try {
+    const sessions = await getSessions();
+    const newSession = {
+      id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: session.name,
+      createdAt: Date.now(),
+      tabs: session.tabs,
+      groups: session.groups || []
+    };
+    sessions.unshift(newSession);
+    await chrome.storage.local.set({ sessions });
+    return newSession;
+  } catch (error) {
+    console.error('Error saving session:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete a saved session
+ * @param {string} id - Session ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSession(id) {
+  try {
+    const sessions = await getSessions();
+    await chrome.storage.local.set({ sessions: sessions.filter(s => s.id !== id) });
+  } catch (error) {
+    console.error('Error deleting session:', error);
+  }
+}
+
 /**
  * Get the timeout value for a specific URL
- * Checks perSiteTimeouts and returns the first matching rule's timeout,
- * or returns the global countdown if no match found
+ * A rule for the tab's group wins, then the first matching perSiteTimeouts rule,
+ * then the global countdown
  * @param {string} url - The URL to check
  * @param {Object} settings - Settings object (optional, will fetch if not provided)
- * @returns {Promise<number>} Timeout in seconds
+ * @param {string|null} groupTitle - Title of the tab's group, if it is in one
+ * @returns {Promise<number|null>} Timeout in seconds (null = never close)
  */
-export async function getTimeoutForUrl(url, settings = null) {
+export async function getTimeoutForUrl(url, settings = null, groupTitle = null) {
   try {
     if (!settings) {
       settings = await getSettings();
     }
 
-    // Extract domain from URL
-    let domain;
-    try {
-      const urlObj = new URL(url);
-      domain = urlObj.hostname;
-    } catch {
-      return settings.globalCountdown;
-    }
+    return resolveTimeout(url, settings, groupTitle).timeout;
+  } catch (error) {
+    console.error('Error getting timeout for URL:', error);
+    return settings?.globalCountdown || DEFAULT_SETTINGS.globalCountdown;
+  }
+}
 
-    // Check if URL matches any per-site timeout pattern
-    for (const rule of settings.perSiteTimeouts || []) {
-      if (matchesPattern(domain, rule.pattern)) {
-        return rule.timeout;
-      }
+/**
+ * Work out a URL's timeout and which rule it comes from
+ * Precedence: group rule, then the schedule profile's per-site overrides, then the
+ * global per-site rules, then the schedule profile's countdown, then the global countdown
+ * @param {string} url - The URL to check
+ * @param {Object} settings - Settings object
+ * @param {string|null} groupTitle - Title of the tab's group, if it is in one
+ * @returns {{timeout: number|null, source: string, rule: Object|null, profile: Object|null}}
+ *   source is 'group', 'site', 'profile' or 'global'
+ */
+export function resolveTimeout(url, settings, groupTitle = null) {
+  const groupRule = getGroupRule(groupTitle, settings);
+  if (groupRule) {
+    return { timeout: groupRule.timeout, source: 'group', rule: groupRule, profile: null };
+  }
+
+  // Resolve against the schedule profile in effect right now
+  const profile = getActiveProfile(settings);
+  const effective = getEffectiveSettings(settings);
+  const rule = findPerSiteRule(url, settings, profile);
+  if (rule) {
+    return { timeout: rule.timeout, source: 'site', rule, profile };
+  }
+
+  // No match, use the profile's or the global countdown
+  return { timeout: effective.globalCountdown, source: profile ? 'profile' : 'global', rule: null, profile };
+}
+
+/**
+ * Get how long a discarded tab with this URL sleeps before it is closed
+ * Uses the matching per-site rule's sleepTimeout if it has one,
+ * otherwise the global sleep countdown
+ * @param {string} url - The URL to check
+ * @param {Object} settings - Settings object (optional, will fetch if not provided)
+ * @returns {Promise<number>} Sleep timeout in seconds
+ */
+export async function getSleepTimeoutForUrl(url, settings = null) {
+  try {
+    if (!settings) {
+      settings = await getSettings();
     }
 
-    // No match, return global countdown
-    return settings.globalCountdown;
+    const rule = findPerSiteRule(url, settings, getActiveProfile(settings));
+    return rule?.sleepTimeout ?? settings.sleepCountdown;
   } catch (error) {
-    console.error('Error getting timeout for URL:', error);
-    return settings?.globalCountdown || DEFAULT_SETTINGS.globalCountdown;
+    console.error('Error getting sleep timeout for URL:', error);
+    return settings?.sleepCountdown || DEFAULT_SETTINGS.sleepCountdown;
+  }
+}
+
+/**
+ * Find the timeout rule for a tab group (titles match case-insensitively)
+ * @param {string|null} groupTitle - Group title, or null for ungrouped tabs
+ * @param {Object} settings - Settings object
+ * @returns {Object|null} Matching rule, or null if none match
+ */
+export function getGroupRule(groupTitle, settings) {
+  if (!groupTitle) return null;
+  const title = groupTitle.trim().toLowerCase();
+  return (settings.groupTimeouts || []).find(rule => rule.title.trim().toLowerCase() === title) || null;
+}
+
+// Rule precedence when several in the same list match: URL patterns, then regexes,
+// then exact hosts, then wildcard hosts; longer patterns first within a type, then list order
+const MATCH_TYPE_RANK = { url: 0, regex: 1, host: 2 };
+
+// Compiled URL-pattern and regex matchers, keyed by "matchType:pattern"
+// (oldest dropped past the limit - the rule tester compiles a pattern per keystroke)
+const matcherCache = new Map();
+const MATCHER_CACHE_LIMIT = 200;
+
+/**
+ * Find the per-site rule that applies to a URL
+ * A schedule profile's overrides win over every global rule; within each list
+ * see MATCH_TYPE_RANK for precedence
+ * @param {string} url - The URL to check
+ * @param {Object} settings - Settings object
+ * @param {Object|null} profile - Schedule profile in effect, if any
+ * @returns {Object|null} Matching rule, or null if none match
+ */
+function findPerSiteRule(url, settings, profile = null) {
+  const target = parseMatchTarget(url);
+  if (!target) return null;
+
+  return pickRule(target, profile?.perSiteTimeouts) || pickRule(target, settings.perSiteTimeouts);
+}
+
+/**
+ * Pick the rule with the highest precedence among a list's rules matching a URL
+ * @param {Object} target - Parsed URL parts ({ url, domain, hostPath })
+ * @param {Array|undefined} rules - Per-site rules
+ * @returns {Object|null} Matching rule, or null if none match
+ */
+function pickRule(target, rules) {
+  const matches = (rules || []).filter(rule => matchesRule(target, rule));
+  if (matches.length <= 1) return matches[0] || null;
+
+  // Array.prototype.sort is stable, so list order breaks the remaining ties
+  return matches.sort((a, b) => getRuleRank(a) - getRuleRank(b) || b.pattern.length - a.pattern.length)[0];
+}
+
+/**
+ * Split a URL into the parts rules match against
+ * @param {string} url - The URL
+ * @returns {Object|null} { url, domain, hostPath }, or null if the URL doesn't parse
+ */
+function parseMatchTarget(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  return {
+    url,
+    domain: parsed.hostname,
+    // What URL patterns match against: host + path + query, no scheme
+    hostPath: parsed.hostname + parsed.pathname + parsed.search
+  };
+}
+
+/**
+ * Rank a rule for precedence (lower wins)
+ * @param {Object} rule - Per-site rule
+ * @returns {number} Rank
+ */
+function getRuleRank(rule) {
+  const matchType = rule.matchType || 'host';
+  if (matchType === 'host') {
+    return MATCH_TYPE_RANK.host + (rule.pattern.startsWith('*.') ? 1 : 0);
+  }
+  return MATCH_TYPE_RANK[matchType];
+}
+
+/**
+ * Check if a URL matches a per-site rule
+ * @param {Object} target - Parsed URL parts ({ url, domain, hostPath })
+ * @param {Object} rule - Per-site rule ({ pattern, matchType? })
+ * @returns {boolean} True if the rule matches
+ */
+function matchesRule(target, rule) {
+  const matchType = rule.matchType || 'host';
+  if (matchType === 'host') {
+    return matchesPattern(target.domain, rule.pattern);
+  }
+
+  const matcher = getMatcher(matchType, rule.pattern);
+  if (!matcher) return false;
+  return matcher.test(matchType === 'url' ? target.hostPath : target.url);
+}
+
+/**
+ * Compile (and cache) the matcher for a URL pattern or regex rule
+ * @param {string} matchType - 'url' or 'regex'
+ * @param {string} pattern - Rule pattern
+ * @returns {RegExp|null} Compiled matcher, or null if the pattern is invalid
+ */
+function getMatcher(matchType, pattern) {
+  const key = `${matchType}:${pattern}`;
+  if (!matcherCache.has(key)) {
+    let matcher = null;
+    try {
+      matcher = matchType === 'url'
+        ? globToRegExp(pattern)
+        : new RegExp(pattern, 'i');
+    } catch {
+      // Invalid patterns never match (and are rejected when saving)
+    }
+    if (matcherCache.size >= MATCHER_CACHE_LIMIT) {
+      matcherCache.delete(matcherCache.keys().next().value);
+    }
+    matcherCache.set(key, matcher);
   }
+  return matcherCache.get(key);
+}
+
+/**
+ * Turn a URL pattern into an anchored regex ("*" matches anything, including "/")
+ * @param {string} pattern - URL pattern, e.g. "docs.google.com/spreadsheets/*"
+ * @returns {RegExp} Compiled regex
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i');
 }
 
 /**
@@ -205,23 +515,71 @@ function matchesPattern(domain, pattern) {
   return false;
 }
 
+/**
+ * Check a per-site rule (or always-protect entry) pattern before it is saved
+ * @param {string} pattern - Rule pattern
+ * @param {string} matchType - 'host' (default), 'url', 'regex' or 'exact' (always-protect only)
+ * @returns {string|null} Error message, or null if the pattern is valid
+ */
+export function validateSitePattern(pattern, matchType = 'host') {
+  if (!pattern) return 'Please enter a pattern';
+  if (/\s/.test(pattern)) return 'Patterns cannot contain spaces';
+
+  if (matchType === 'host') {
+    if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i.test(pattern)) {
+      return 'Enter a domain like example.com or *.example.com (no https:// or path)';
+    }
+    return null;
+  }
+
+  if (matchType === 'url') {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(pattern)) {
+      return 'Leave out the scheme - URL patterns match host, path and query, e.g. github.com/*/pull/*';
+    }
+    return null;
+  }
+
+  if (matchType === 'exact') {
+    try {
+      new URL(pattern);
+    } catch {
+      return 'Enter a full URL, e.g. https://example.com/page';
+    }
+    return null;
+  }
+
+  if (matchType === 'regex') {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  }
+
+  return `Unknown match type "${matchType}"`;
+}
+
 /**
  * Add a per-site timeout rule
  * @param {string} pattern - URL pattern (e.g., "example.com" or "*.example.com")
- * @param {number} timeout - Timeout in seconds
+ * @param {number|null} timeout - Timeout in seconds (null = never close)
+ * @param {string} matchType - 'host' (default), 'url' or 'regex'
  * @returns {Promise<void>}
  */
-export async function addPerSiteTimeout(pattern, timeout) {
+export async function addPerSiteTimeout(pattern, timeout, matchType = 'host') {
   try {
     const settings = await getSettings();
 
-    // Remove any existing rule for this pattern
+    // Remove any existing rule for this pattern and match type
     settings.perSiteTimeouts = (settings.perSiteTimeouts || []).filter(
-      rule => rule.pattern !== pattern
+      rule => rule.pattern !== pattern || (rule.matchType || 'host') !== matchType
     );
 
-    // Add new rule
-    settings.perSiteTimeouts.push({ pattern, timeout });
+    // Add new rule (host rules leave matchType out, as older rules do)
+    const rule = { pattern, timeout };
+    if (matchType !== 'host') rule.matchType = matchType;
+    settings.perSiteTimeouts.push(rule);
 
     await saveSettings(settings);
   } catch (error) {
@@ -233,14 +591,15 @@ export async function addPerSiteTimeout(pattern, timeout) {
 /**
  * Remove a per-site timeout rule
  * @param {string} pattern - URL pattern to remove
+ * @param {string} matchType - Match type of the rule to remove (default 'host')
  * @returns {Promise<void>}
  */
-export async function removePerSiteTimeout(pattern) {
+export async function removePerSiteTimeout(pattern, matchType = 'host') {
   try {
     const settings = await getSettings();
 
     settings.perSiteTimeouts = (settings.perSiteTimeouts || []).filter(
-      rule => rule.pattern !== pattern
+      rule => rule.pattern !== pattern || (rule.matchType || 'host') !== matchType
     );
 
     await saveSettings(settings);
@@ -250,6 +609,104 @@ export async function removePerSiteTimeout(pattern) {
   }
 }
 
+/**
+ * Check if a URL is on an always-protect list
+ * @param {string} url - The URL to check
+ * @param {Array} protectedSites - Entries to check, e.g. settings.protectedSites
+ * @returns {boolean} True if any entry matches
+ */
+export function isProtectedUrl(url, protectedSites) {
+  if (!protectedSites?.length) return false;
+  const target = parseMatchTarget(url);
+  if (!target) return false;
+
+  return protectedSites.some(entry => entry.matchType === 'exact'
+    ? entry.pattern === url
+    : matchesRule(target, entry));
+}
+
+/**
+ * Add an entry to the always-protect list
+ * @param {string} pattern - Full URL, domain or URL pattern
+ * @param {string} matchType - 'exact', 'host' (default) or 'url'
+ * @returns {Promise<void>}
+ */
+export async function addProtectedSite(pattern, matchType = 'host') {
+  try {
+    const settings = await getSettings();
+    settings.protectedSites = (settings.protectedSites || []).filter(
+      entry => entry.pattern !== pattern || entry.matchType !== matchType
+    );
+    settings.protectedSites.push({ pattern, matchType });
+    await saveSettings(settings);
+  } catch (error) {
+    console.error('Error adding protected site:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove an entry from the always-protect list
+ * @param {string} pattern - Pattern of the entry to remove
+ * @param {string} matchType - Match type of the entry to remove (default 'host')
+ * @returns {Promise<void>}
+ */
+export async function removeProtectedSite(pattern, matchType = 'host') {
+  try {
+    const settings = await getSettings();
+    settings.protectedSites = (settings.protectedSites || []).filter(
+      entry => entry.pattern !== pattern || entry.matchType !== matchType
+    );
+    await saveSettings(settings);
+  } catch (error) {
+    console.error('Error removing protected site:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find the schedule profile in effect at a given time
+ * A range whose end is not after its start runs past midnight into the next day
+ * @param {Object} settings - Settings object
+ * @param {Date} date - Time to check (defaults to now)
+ * @returns {Object|null} First matching profile, or null if none is in effect
+ */
+export function getActiveProfile(settings, date = new Date()) {
+  const day = date.getDay();
+  const previousDay = (day + 6) % 7;
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  return (settings.scheduleProfiles || []).find(profile =>
+    (profile.ranges || []).some(range => {
+      if (range.start < range.end) {
+        return range.days.includes(day) && minutes >= range.start && minutes < range.end;
+      }
+      // Overnight range: evening part on a listed day, morning part on the day after
+      return (range.days.includes(day) && minutes >= range.start) ||
+        (range.days.includes(previousDay) && minutes < range.end);
+    })
+  ) || null;
+}
+
+/**
+ * Apply the schedule profile in effect to the settings
+ * The profile replaces enabled (when the extension is on) and globalCountdown;
+ * its per-site overrides are matched separately, ahead of every global per-site rule
+ * @param {Object} settings - Settings object
+ * @param {Date} date - Time to resolve for (defaults to now)
+ * @returns {Object} Effective settings (the same object if no profile is in effect)
+ */
+export function getEffectiveSettings(settings, date = new Date()) {
+  const profile = getActiveProfile(settings, date);
+  if (!profile) return settings;
+
+  return {
+    ...settings,
+    enabled: settings.enabled && profile.enabled,
+    globalCountdown: profile.globalCountdown ?? settings.globalCountdown
+  };
+}
+
 /**
  * Get all per-site timeout rules
  * @returns {Promise<Array>} Array of { pattern, timeout } objects
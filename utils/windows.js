@@ -0,0 +1,43 @@
+/**
+ * Window Utility
+ * What happens to a window when all of its tabs are closed. Auto-close in
+ * the background and the popup's window actions both follow the
+ * lastTabBehavior setting through here.
+ */
+
+/**
+ * Close every tab in a window, following the last-tab setting:
+ *
+ * - closeWindow: close the window itself
+ * - newTab: open a new tab page in the window, then close the tabs
+ * - keep: close all but one tab (the window's active tab)
+ * - minimize: like keep, then minimize the window
+ *
+ * @param {number} windowId - Window being emptied
+ * @param {chrome.tabs.Tab[]} tabs - All of the window's tabs
+ * @param {string} behavior - settings.lastTabBehavior
+ * @returns {Promise<number|null>} ID of the tab left open, or null if none was kept
+ */
+export async function closeWindowTabs(windowId, tabs, behavior) {
+    if (tabs.length === 0) return null;
+
+    switch (behavior) {
+        case 'newTab':
+            await chrome.tabs.create({ windowId, active: true });
+            await chrome.tabs.remove(tabs.map(t => t.id));
+            return null;
+
+        case 'keep':
+        case 'minimize': {
+            const keptTab = tabs.find(t => t.active) || tabs[tabs.length - 1];
+            const otherIds = tabs.filter(t => t.id !== keptTab.id).map(t => t.id);
+            if (otherIds.length > 0) await chrome.tabs.remove(otherIds);
+            if (behavior === 'minimize') await chrome.windows.update(windowId, { state: 'minimized' });
+            return keptTab.id;
+        }
+
+        default:
+            await chrome.windows.remove(windowId);
+            return null;
+    }
+}